@@ -1,62 +1,78 @@
-{
-  "basic": {
-    "stringEncryption": true,
-    "variableRenaming": true,
-    "controlFlowObfuscation": false,
-    "deadCodeInjection": false,
-    "vmObfuscation": false,
-    "antiDebug": false,
-    "antiTampering": false,
-    "obfuscationLevel": 2
+// Built-in security profiles; each is applied as the base layer under the caller's options
+export const securityProfiles = {
+  basic: {
+    description: 'Basic protection for simple scripts',
+    options: {
+      stringEncryption: true,
+      variableRenaming: true,
+      controlFlowObfuscation: false,
+      deadCodeInjection: false,
+      vmObfuscation: false,
+      antiDebug: false,
+      antiTampering: false,
+      obfuscationLevel: 2
+    }
   },
-  "standard": {
-    "stringEncryption": true,
-    "variableRenaming": true,
-    "controlFlowObfuscation": true,
-    "deadCodeInjection": true,
-    "vmObfuscation": false,
-    "antiDebug": true,
-    "antiTampering": false,
-    "obfuscationLevel": 5
+  standard: {
+    description: 'Standard protection for production code',
+    options: {
+      stringEncryption: true,
+      variableRenaming: true,
+      controlFlowObfuscation: true,
+      deadCodeInjection: true,
+      vmObfuscation: false,
+      antiDebug: true,
+      antiTampering: false,
+      obfuscationLevel: 5
+    }
   },
-  "professional": {
-    "stringEncryption": true,
-    "variableRenaming": true,
-    "controlFlowObfuscation": true,
-    "deadCodeInjection": true,
-    "vmObfuscation": true,
-    "antiDebug": true,
-    "antiTampering": true,
-    "integrityChecks": true,
-    "obfuscationLevel": 7
+  professional: {
+    description: 'Professional protection for commercial software',
+    options: {
+      stringEncryption: true,
+      variableRenaming: true,
+      controlFlowObfuscation: true,
+      deadCodeInjection: true,
+      vmObfuscation: true,
+      antiDebug: true,
+      antiTampering: true,
+      integrityChecks: true,
+      obfuscationLevel: 7
+    }
   },
-  "enterprise": {
-    "stringEncryption": true,
-    "variableRenaming": true,
-    "controlFlowObfuscation": true,
-    "deadCodeInjection": true,
-    "vmObfuscation": true,
-    "antiDebug": true,
-    "antiTampering": true,
-    "integrityChecks": true,
-    "environmentDetection": true,
-    "timingProtection": true,
-    "obfuscationLevel": 9
+  enterprise: {
+    description: 'Enterprise-grade protection for sensitive code',
+    options: {
+      stringEncryption: true,
+      variableRenaming: true,
+      controlFlowObfuscation: true,
+      deadCodeInjection: true,
+      vmObfuscation: true,
+      antiDebug: true,
+      antiTampering: true,
+      integrityChecks: true,
+      environmentDetection: true,
+      timingProtection: true,
+      obfuscationLevel: 9
+    }
   },
-  "military": {
-    "stringEncryption": true,
-    "variableRenaming": true,
-    "controlFlowObfuscation": true,
-    "deadCodeInjection": true,
-    "vmObfuscation": true,
-    "antiDebug": true,
-    "antiTampering": true,
-    "integrityChecks": true,
-    "environmentDetection": true,
-    "timingProtection": true,
-    "memoryProtection": true,
-    "stackRandomization": true,
-    "opcodeRandomization": true,
-    "obfuscationLevel": 10
+  military: {
+    description: 'Military-grade maximum protection',
+    options: {
+      stringEncryption: true,
+      variableRenaming: true,
+      controlFlowObfuscation: true,
+      deadCodeInjection: true,
+      vmObfuscation: true,
+      antiDebug: true,
+      antiTampering: true,
+      integrityChecks: true,
+      environmentDetection: true,
+      timingProtection: true,
+      memoryProtection: true,
+      stackRandomization: true,
+      opcodeRandomization: true,
+      obfuscationLevel: 10
+    }
   }
-}
\ No newline at end of file
+};
\ No newline at end of file
@@ -3,6 +3,7 @@ import cors from 'cors';
 import helmet from 'helmet';
 import { RateLimiterMemory } from 'rate-limiter-flexible';
 import apiRoutes from './src/api/routes.js';
+import { securityMiddleware } from './src/api/middleware.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,7 +14,7 @@ app.use(helmet({
   hidePoweredBy: true
 }));
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: securityMiddleware.verifyEncoding.bind(securityMiddleware) }));
 
 // Rate limiting
 const rateLimiter = new RateLimiterMemory({
@@ -32,6 +33,11 @@ app.use('/api', apiRoutes);
 
 // Error handling
 app.use((err, req, res, next) => {
+  // Body parsing failures (malformed JSON, invalid UTF-8, oversized bodies) are the client's
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  
   console.error(err.stack);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -1,5 +1,11 @@
 import { createHash } from 'crypto';
 import { RateLimiterMemory } from 'rate-limiter-flexible';
+import { LuauParser } from '../parsers/luau-parser.js';
+
+// Largest accepted source, in UTF-8 bytes
+export const MAX_CODE_SIZE = 5 * 1024 * 1024;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
 
 export class SecurityMiddleware {
   constructor() {
@@ -90,30 +96,65 @@ export class SecurityMiddleware {
       }
     }
   }
-
-  sanitizeInput(input) {
-    if (typeof input !== 'string') return input;
-    
-    // Remove potentially dangerous patterns
-    const dangerousPatterns = [
-      /\\x[0-9a-f]{2}/gi,
-      /\\u[0-9a-f]{4}/gi,
-      /\\[0-7]{1,3}/g,
-      /\\?[\r\n]+/g,
-      /\\?['"`]/g
-    ];
-    
-    let sanitized = input;
-    for (const pattern of dangerousPatterns) {
-      sanitized = sanitized.replace(pattern, '');
+  
+  // Used as express.json's `verify` hook; invalid bytes would otherwise be decoded to U+FFFD silently
+  verifyEncoding(req, res, buffer) {
+    try {
+      utf8Decoder.decode(buffer);
+    } catch {
+      const error = new Error('Request body is not valid UTF-8');
+      error.status = 400;
+      throw error;
+    }
+  }
+  
+  // Checks submitted code without modifying it; returns null when it can be processed,
+  // otherwise the status, error and diagnostics to respond with. Callers that report syntax
+  // errors themselves pass syntax: false
+  inspectInput(code, { syntax = true } = {}) {
+    if (typeof code !== 'string' || code.trim().length === 0) {
+      return { status: 400, error: 'Code must be a non-empty string' };
+    }
+    
+    const size = Buffer.byteLength(code, 'utf8');
+    if (size > MAX_CODE_SIZE) {
+      return { status: 413, error: 'Code size exceeds limit (5MB)', size: size, limit: MAX_CODE_SIZE };
+    }
+    
+    const nul = code.indexOf('\0');
+    if (nul !== -1) {
+      return { status: 400, error: 'Code contains a NUL character', diagnostics: [this.characterDiagnostic(code, nul, 'NUL character in source')] };
+    }
+    
+    // JSON escapes can still smuggle in lone surrogates, which have no UTF-8 encoding
+    const surrogate = code.search(/[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/);
+    if (surrogate !== -1) {
+      return { status: 400, error: 'Code is not valid UTF-8', diagnostics: [this.characterDiagnostic(code, surrogate, 'Unpaired UTF-16 surrogate in source')] };
     }
     
-    // Truncate if too long
-    if (sanitized.length > 1000000) {
-      sanitized = sanitized.substring(0, 1000000);
+    if (!syntax) return null;
+    
+    const parser = new LuauParser({ recover: true });
+    parser.parse(code);
+    if (parser.diagnostics.length > 0) {
+      return { status: 400, error: 'Invalid LuaU syntax', diagnostics: parser.diagnostics };
     }
     
-    return sanitized;
+    return null;
+  }
+
+  characterDiagnostic(code, index, message) {
+    const lineStart = code.lastIndexOf('\n', index - 1) + 1;
+    const lineEnd = code.indexOf('\n', index);
+    
+    return {
+      severity: 'error',
+      message: message,
+      line: code.slice(0, lineStart).split('\n').length,
+      column: index - lineStart + 1,
+      snippet: code.slice(lineStart, lineEnd === -1 ? code.length : lineEnd),
+      expected: []
+    };
   }
 }
 
@@ -1,17 +1,105 @@
 import express from 'express';
 import { Obfuscator } from '../core/obfuscator.js';
-import { SecurityAnalyzer } from '../core/security-analyzer.js';
-import { securityMiddleware } from './middleware.js';
+import { PassError } from '../core/pass-manager.js';
+import { KEY_ENTROPY_SOURCES } from '../utils/entropy-generator.js';
+import { SecurityAnalyzer, ANALYSIS_POLICIES } from '../core/security-analyzer.js';
+import { LuauParser, LuauSyntaxError } from '../parsers/luau-parser.js';
+import { ProfileManager, ProfileError } from '../core/profile-manager.js';
+import { securityProfiles } from '../../config/security-profiles.js';
+import { securityMiddleware, MAX_CODE_SIZE } from './middleware.js';
 import { createHash } from 'crypto';
+import path from 'path';
 
 const router = express.Router();
 const obfuscator = new Obfuscator();
+
+// In-house passes live in a local plugin directory; a broken plugin stops the server from starting
+await obfuscator.passes.loadPlugins(process.env.CELESTIAL_PLUGINS || path.resolve('plugins'));
 const securityAnalyzer = new SecurityAnalyzer();
 
+// Option values used when neither the security profile nor the caller sets them
+const defaultOptions = {
+  stringEncryption: true,
+  variableRenaming: true,
+  controlFlowObfuscation: true,
+  deadCodeInjection: true,
+  numberEncoding: true,
+  hotLoopNumbers: 'preserve',
+  functionWrapping: true,
+  vmObfuscation: false,
+  antiDebug: false,
+  antiTampering: false,
+  integrityChecks: false,
+  environmentDetection: false,
+  timingProtection: false,
+  constantFolding: true,
+  instructionSubstitution: true,
+  opcodeRandomization: false,
+  stackRandomization: false,
+  memoryProtection: false,
+  obfuscationLevel: 5,
+  securityProfile: 'professional',
+  policy: 'advisory',
+  keyEntropy: 'csprng',
+  generateReport: false,
+  includeWatermark: true,
+  optimizeOutput: false,
+  preserveLineNumbers: false,
+  preserveTypes: false,
+  preservedNames: [],
+  virtualizeFunctions: [],
+  unicodeIdentifiers: false,
+  addChecksum: true,
+  mutationLevel: 3
+};
+
+// Every option the API accepts, as `type[ (min-max)] - description`; also the schema profiles are validated against
+const supportedOptions = {
+  stringEncryption: 'boolean - Encrypt string literals',
+  variableRenaming: 'boolean - Rename variables and functions',
+  controlFlowObfuscation: 'boolean - Obfuscate control flow',
+  deadCodeInjection: 'boolean - Inject dead code',
+  numberEncoding: 'boolean - Encode numeric constants',
+  hotLoopNumbers: 'string (preserve|encode) - Whether constant indices inside loops are encoded too',
+  functionWrapping: 'boolean - Wrap functions in protection layers',
+  vmObfuscation: 'boolean - Use virtual machine execution',
+  antiDebug: 'boolean - Add anti-debugging protection',
+  antiTampering: 'boolean - Add anti-tampering protection',
+  integrityChecks: 'boolean - Add integrity verification',
+  environmentDetection: 'boolean - Detect execution environment',
+  timingProtection: 'boolean - Add timing-based protection',
+  constantFolding: 'boolean - Prevent constant folding',
+  instructionSubstitution: 'boolean - Substitute instructions',
+  opcodeRandomization: 'boolean - Randomize the VM instruction set per build',
+  stackRandomization: 'boolean - Randomize the register layout and frame size of each VM function',
+  memoryProtection: 'boolean - Add memory protection',
+  obfuscationLevel: 'number (1-10) - Overall obfuscation intensity',
+  securityProfile: 'string - Predefined security profile',
+  policy: `string (${ANALYSIS_POLICIES.join('|')}) - How security analysis may change the requested options`,
+  generateReport: 'boolean - Generate security analysis report',
+  includeWatermark: 'boolean - Add identification watermark',
+  optimizeOutput: 'boolean - Optimize obfuscated code size',
+  preserveLineNumbers: 'boolean - Preserve original line numbers',
+  preserveTypes: 'boolean - Keep Luau type annotations in the output',
+  preservedNames: 'array - Local variable names that must not be renamed',
+  virtualizeFunctions: 'array - Function names to run on the VM; with these or --@celestial:virtualize, only chosen functions are virtualized',
+  keyEntropy: `string (${KEY_ENTROPY_SOURCES.join('|')}) - Generator for keys, opcode tables and integrity constants`,
+  seed: 'string - Makes the output reproducible; "content" derives the seed from the code',
+  passes: 'array - Pass names to run in this order, repeats allowed; replaces the per-pass toggles',
+  unicodeIdentifiers: 'boolean - Use Unicode names (not valid Luau; for non-Luau targets only)',
+  addChecksum: 'boolean - Add integrity checksum',
+  mutationLevel: 'number (1-5) - Code mutation intensity'
+};
+
+// Loaded once at startup; an invalid profile stops the server from starting
+const profileManager = new ProfileManager(securityProfiles, supportedOptions, {
+  storePath: process.env.PROFILE_STORE || path.resolve('data/custom-profiles.json')
+});
+
 // Request validation middleware
 router.use((req, res, next) => {
   // Validate request method
-  if (req.method !== 'GET' && req.method !== 'POST') {
+  if (req.method !== 'GET' && req.method !== 'POST' && req.method !== 'DELETE') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
@@ -86,6 +174,40 @@ router.use((req, res, next) => {
   next();
 });
 
+function sendInputProblem(req, res, problem) {
+  const { status, ...details } = problem;
+  
+  return res.status(status).json({
+    ...details,
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Checks a request's options against supportedOptions and layers them over the defaults and the
+// selected profile; returns the merged options, or a problem for sendInputProblem
+function resolveOptions(options) {
+  const requested = options ?? {};
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    return { problem: { status: 400, error: 'Options must be an object' } };
+  }
+  
+  const problems = profileManager.validateOptions(requested);
+  if (requested.seed === '') {
+    problems.push('"seed" must not be empty');
+  }
+  if (problems.length > 0) {
+    return { problem: { status: 400, error: 'Invalid options', details: problems } };
+  }
+  
+  const profileName = requested.securityProfile || defaultOptions.securityProfile;
+  if (!profileManager.has(profileName)) {
+    return { problem: { status: 400, error: `Unknown security profile: ${profileName}`, availableProfiles: profileManager.names() } };
+  }
+  
+  return { options: { ...defaultOptions, ...profileManager.getOptions(profileName), ...requested } };
+}
+
 // Main obfuscation endpoint
 router.post('/obfuscate', async (req, res) => {
   try {
@@ -97,7 +219,7 @@ router.post('/obfuscate', async (req, res) => {
       });
     }
 
-    // Extract and sanitize code
+    // Extract code
     let { code, options = {} } = req.body;
     
     if (!code) {
@@ -107,87 +229,28 @@ router.post('/obfuscate', async (req, res) => {
       });
     }
 
-    // Sanitize input
-    const sanitizedCode = securityMiddleware.sanitizeInput(code);
-    
-    if (!sanitizedCode || sanitizedCode.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'Invalid or empty code after sanitization',
-        requestId: req.requestId
-      });
+    // The code is obfuscated exactly as submitted, so anything unusable is rejected up front
+    const inputProblem = securityMiddleware.inspectInput(code);
+    if (inputProblem) {
+      return sendInputProblem(req, res, inputProblem);
     }
 
-    // Check code size limits
-    const codeSize = Buffer.byteLength(sanitizedCode, 'utf8');
-    if (codeSize > 5 * 1024 * 1024) { // 5MB limit
-      return res.status(413).json({ 
-        error: 'Code size exceeds limit (5MB)',
-        size: codeSize,
-        limit: 5 * 1024 * 1024,
-        requestId: req.requestId
-      });
-    }
+    const codeSize = Buffer.byteLength(code, 'utf8');
 
-    // Validate options
-    if (options && typeof options !== 'object') {
-      return res.status(400).json({ 
-        error: 'Options must be an object',
-        requestId: req.requestId
-      });
+    // The selected profile is the base layer under the caller's options
+    const { options: requestedOptions, problem } = resolveOptions(options);
+    if (problem) {
+      return sendInputProblem(req, res, problem);
     }
-
+    
     // Security analysis
-    const securityReport = securityAnalyzer.analyzeCode(sanitizedCode, options);
+    const securityReport = securityAnalyzer.analyzeCode(code, options);
     
     // Generate security profile based on analysis
-    const securityProfile = securityAnalyzer.generateSecurityProfile(securityReport, options);
+    const securityProfile = securityAnalyzer.generateSecurityProfile(securityReport);
     
-    // Merge options with defaults and security recommendations
-    const defaultOptions = {
-      stringEncryption: true,
-      variableRenaming: true,
-      controlFlowObfuscation: true,
-      deadCodeInjection: true,
-      numberEncoding: true,
-      functionWrapping: true,
-      vmObfuscation: false,
-      antiDebug: false,
-      antiTampering: false,
-      integrityChecks: false,
-      environmentDetection: false,
-      timingProtection: false,
-      constantFolding: true,
-      instructionSubstitution: true,
-      opcodeRandomization: false,
-      stackRandomization: false,
-      memoryProtection: false,
-      obfuscationLevel: 5,
-      securityProfile: 'professional',
-      generateReport: false,
-      includeWatermark: true,
-      optimizeOutput: false,
-      preserveLineNumbers: false,
-      addChecksum: true,
-      mutationLevel: 3
-    };
-
-    // Apply security profile recommendations
-    const mergedOptions = { 
-      ...defaultOptions, 
-      ...options,
-      ...securityProfile.suggestedOptions 
-    };
-
-    // Set obfuscation level based on security score
-    if (securityReport.securityScore < 60) {
-      mergedOptions.obfuscationLevel = 10;
-      mergedOptions.vmObfuscation = true;
-      mergedOptions.antiDebug = true;
-      mergedOptions.antiTampering = true;
-    } else if (securityReport.securityScore < 80) {
-      mergedOptions.obfuscationLevel = 8;
-      mergedOptions.vmObfuscation = true;
-    }
+    // The policy decides which of the analyzer's suggestions replace the requested options
+    const { options: mergedOptions, changes } = securityAnalyzer.applyPolicy(requestedOptions, securityProfile, requestedOptions.policy);
 
     // Check for cache hit
     const requestHash = securityMiddleware.hashRequest(req);
@@ -205,7 +268,7 @@ router.post('/obfuscate', async (req, res) => {
     // Run obfuscation
     console.log(`[${req.requestId}] Starting obfuscation (size: ${codeSize} bytes, level: ${mergedOptions.obfuscationLevel})`);
     
-    const result = await obfuscator.obfuscate(sanitizedCode, mergedOptions);
+    const result = await obfuscator.obfuscate(code, mergedOptions);
     
     if (!result || !result.code) {
       throw new Error('Obfuscation failed to produce output');
@@ -219,9 +282,13 @@ router.post('/obfuscate', async (req, res) => {
       expansionRatio: result.expansionRatio,
       securityLevel: result.securityLevel,
       checksum: result.checksum,
+      passes: result.passes,
+      seed: result.seed,
       timestamp: new Date().toISOString(),
       requestId: req.requestId,
       optionsUsed: mergedOptions,
+      policy: mergedOptions.policy,
+      optionChanges: changes,
       securityAnalysis: mergedOptions.generateReport ? securityReport : undefined,
       warnings: securityReport.threats.length > 0 ? securityReport.threats : undefined,
       recommendations: securityReport.recommendations.length > 0 ? securityReport.recommendations : undefined,
@@ -240,7 +307,10 @@ router.post('/obfuscate', async (req, res) => {
         obfuscatedSize: result.obfuscatedSize,
         expansionRatio: result.expansionRatio,
         securityLevel: result.securityLevel,
-        checksum: result.checksum
+        checksum: result.checksum,
+        seed: result.seed,
+        policy: mergedOptions.policy,
+        optionChanges: changes
       }
     });
 
@@ -257,6 +327,26 @@ router.post('/obfuscate', async (req, res) => {
   } catch (error) {
     console.error(`[${req.requestId || 'unknown'}] Obfuscation error:`, error.stack || error);
     
+    if (error instanceof LuauSyntaxError) {
+      return res.status(400).json({
+        error: 'Invalid LuaU syntax',
+        details: error.message,
+        diagnostics: [error.toDiagnostic()],
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error instanceof PassError) {
+      return res.status(400).json({
+        error: 'Invalid pass configuration',
+        details: error.message,
+        availablePasses: obfuscator.passes.names(),
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     // Determine error type and status code
     let statusCode = 500;
     let errorMessage = 'Obfuscation failed';
@@ -265,9 +355,6 @@ router.post('/obfuscate', async (req, res) => {
     if (error.message.includes('memory') || error.message.includes('size')) {
       statusCode = 413;
       errorMessage = 'Resource limit exceeded';
-    } else if (error.message.includes('syntax') || error.message.includes('parse')) {
-      statusCode = 400;
-      errorMessage = 'Invalid LuaU syntax';
     } else if (error.message.includes('timeout')) {
       statusCode = 504;
       errorMessage = 'Processing timeout';
@@ -305,20 +392,29 @@ router.post('/obfuscate/batch', async (req, res) => {
     const errors = [];
     const startTime = Date.now();
 
+    const { options: batchOptions, problem } = resolveOptions(options);
+    if (problem) {
+      return sendInputProblem(req, res, problem);
+    }
+    
     // Process files in parallel with limit
-    const batchOptions = { 
-      ...options,
-      obfuscationLevel: options.obfuscationLevel || 5 
-    };
-
     const processPromises = files.map(async (file, index) => {
       try {
         if (!file.code || !file.name) {
           throw new Error(`File ${index + 1}: Missing code or name`);
         }
 
-        const sanitizedCode = securityMiddleware.sanitizeInput(file.code);
-        const result = await obfuscator.obfuscate(sanitizedCode, batchOptions);
+        const inputProblem = securityMiddleware.inspectInput(file.code);
+        if (inputProblem) {
+          return {
+            name: file.name,
+            success: false,
+            error: inputProblem.error,
+            diagnostics: inputProblem.diagnostics
+          };
+        }
+        
+        const result = await obfuscator.obfuscate(file.code, batchOptions);
         
         return {
           name: file.name,
@@ -327,13 +423,15 @@ router.post('/obfuscate/batch', async (req, res) => {
           obfuscatedSize: result.obfuscatedSize,
           expansionRatio: result.expansionRatio,
           securityLevel: result.securityLevel,
-          checksum: result.checksum
+          checksum: result.checksum,
+          seed: result.seed
         };
       } catch (error) {
         return {
           name: file.name || `file_${index + 1}`,
           success: false,
-          error: error.message
+          error: error.message,
+          diagnostics: error instanceof LuauSyntaxError ? [error.toDiagnostic()] : undefined
         };
       }
     });
@@ -384,9 +482,13 @@ router.post('/analyze', async (req, res) => {
       });
     }
 
-    const sanitizedCode = securityMiddleware.sanitizeInput(code);
-    const analysis = securityAnalyzer.analyzeCode(sanitizedCode);
-    const profile = securityAnalyzer.generateSecurityProfile(analysis, {});
+    const inputProblem = securityMiddleware.inspectInput(code);
+    if (inputProblem) {
+      return sendInputProblem(req, res, inputProblem);
+    }
+    
+    const analysis = securityAnalyzer.analyzeCode(code);
+    const profile = securityAnalyzer.generateSecurityProfile(analysis);
     
     res.json({
       analysis: analysis,
@@ -406,6 +508,124 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+// Report every syntax error in the code without obfuscating it
+router.post('/validate', async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ 
+        error: 'No code provided',
+        requestId: req.requestId
+      });
+    }
+    
+    // Input the other endpoints refuse is refused here too; syntax errors are the result
+    const inputProblem = securityMiddleware.inspectInput(code, { syntax: false });
+    if (inputProblem) {
+      return sendInputProblem(req, res, inputProblem);
+    }
+    
+    const parser = new LuauParser({ recover: true });
+    const ast = parser.parse(code);
+    
+    res.json({
+      valid: parser.diagnostics.length === 0,
+      diagnostics: parser.diagnostics,
+      statementCount: ast.statements.length,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  
+  } catch (error) {
+    console.error(`[${req.requestId}] Validation error:`, error);
+    res.status(500).json({ 
+      error: 'Validation failed',
+      details: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+// List built-in and custom security profiles
+router.get('/profiles', (req, res) => {
+  res.json({
+    profiles: profileManager.describeAll(),
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+router.get('/profiles/:name', (req, res) => {
+  const { name } = req.params;
+
+  if (!profileManager.has(name)) {
+    return res.status(404).json({
+      error: 'Unknown security profile',
+      availableProfiles: profileManager.names(),
+      requestId: req.requestId
+    });
+  }
+  
+  res.json({
+    name: name,
+    ...profileManager.describe(name),
+    inheritance: profileManager.resolveChain(name),
+    options: profileManager.getOptions(name),
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+// Create or replace a custom profile
+router.post('/profiles', async (req, res) => {
+  try {
+    const { name, extends: base, description, options } = req.body;
+    const profile = await profileManager.define(name, { extends: base, description, options });
+    
+    res.status(201).json({
+      name: name,
+      ...profile,
+      options: profileManager.getOptions(name),
+      requestId: req.requestId
+    });
+  
+  } catch (error) {
+    sendProfileError(req, res, error);
+  }
+});
+
+router.delete('/profiles/:name', async (req, res) => {
+  try {
+    await profileManager.remove(req.params.name);
+    
+    res.json({
+      deleted: req.params.name,
+      requestId: req.requestId
+    });
+  
+  } catch (error) {
+    sendProfileError(req, res, error);
+  }
+});
+
+function sendProfileError(req, res, error) {
+  if (error instanceof ProfileError) {
+    return res.status(error.status).json({
+      error: error.message,
+      details: error.problems,
+      requestId: req.requestId
+    });
+  }
+  
+  console.error(`[${req.requestId}] Profile store error:`, error);
+  res.status(500).json({
+    error: 'Profile update failed',
+    details: error.message,
+    requestId: req.requestId
+  });
+}
+
 // Status endpoint with detailed information
 router.get('/status', (req, res) => {
   const memoryUsage = process.memoryUsage();
@@ -494,37 +714,13 @@ router.get('/features', (req, res) => {
       'Configurable Obfuscation Levels',
       'Real-time Progress Reporting',
       'Cache Optimization',
-      'Input Validation & Sanitization',
+      'Parser-Based Input Validation',
       'Comprehensive Error Handling'
     ],
     
-    securityProfiles: {
-      basic: {
-        level: 1,
-        description: 'Basic protection for simple scripts',
-        features: ['Variable Renaming', 'String Encryption']
-      },
-      standard: {
-        level: 3,
-        description: 'Standard protection for production code',
-        features: ['Control Flow Obfuscation', 'Dead Code Injection', 'Anti-Debug']
-      },
-      professional: {
-        level: 5,
-        description: 'Professional protection for commercial software',
-        features: ['VM Obfuscation', 'Anti-Tampering', 'Integrity Checks']
-      },
-      enterprise: {
-        level: 8,
-        description: 'Enterprise-grade protection for sensitive code',
-        features: ['Timing Protection', 'Environment Detection', 'Memory Protection']
-      },
-      military: {
-        level: 10,
-        description: 'Military-grade maximum protection',
-        features: ['All Protection Layers', 'Maximum Obfuscation', 'Advanced Anti-Reverse Engineering']
-      }
-    },
+    securityProfiles: profileManager.describeAll(),
+    
+    passes: obfuscator.passes.describeAll(),
     
     performanceMetrics: {
       maxInputSize: '5MB',
@@ -549,7 +745,7 @@ router.get('/features', (req, res) => {
 router.get('/config', (req, res) => {
   const config = {
     limits: {
-      maxCodeSize: 5 * 1024 * 1024, // 5MB
+      maxCodeSize: MAX_CODE_SIZE,
       maxBatchSize: 10,
       requestTimeout: 30000, // 30 seconds
       rateLimit: {
@@ -558,42 +754,9 @@ router.get('/config', (req, res) => {
       }
     },
     
-    defaults: {
-      obfuscationLevel: 5,
-      securityProfile: 'professional',
-      stringEncryption: true,
-      variableRenaming: true,
-      antiDebug: false,
-      antiTampering: false
-    },
+    defaults: defaultOptions,
     
-    supportedOptions: {
-      stringEncryption: 'boolean - Encrypt string literals',
-      variableRenaming: 'boolean - Rename variables and functions',
-      controlFlowObfuscation: 'boolean - Obfuscate control flow',
-      deadCodeInjection: 'boolean - Inject dead code',
-      numberEncoding: 'boolean - Encode numeric constants',
-      functionWrapping: 'boolean - Wrap functions in protection layers',
-      vmObfuscation: 'boolean - Use virtual machine execution',
-      antiDebug: 'boolean - Add anti-debugging protection',
-      antiTampering: 'boolean - Add anti-tampering protection',
-      integrityChecks: 'boolean - Add integrity verification',
-      environmentDetection: 'boolean - Detect execution environment',
-      timingProtection: 'boolean - Add timing-based protection',
-      constantFolding: 'boolean - Prevent constant folding',
-      instructionSubstitution: 'boolean - Substitute instructions',
-      opcodeRandomization: 'boolean - Randomize VM opcodes',
-      stackRandomization: 'boolean - Randomize stack layout',
-      memoryProtection: 'boolean - Add memory protection',
-      obfuscationLevel: 'number (1-10) - Overall obfuscation intensity',
-      securityProfile: 'string - Predefined security profile',
-      generateReport: 'boolean - Generate security analysis report',
-      includeWatermark: 'boolean - Add identification watermark',
-      optimizeOutput: 'boolean - Optimize obfuscated code size',
-      preserveLineNumbers: 'boolean - Preserve original line numbers',
-      addChecksum: 'boolean - Add integrity checksum',
-      mutationLevel: 'number (1-5) - Code mutation intensity'
-    },
+    supportedOptions: supportedOptions,
     
     environment: {
       nodeVersion: process.version,
@@ -737,7 +900,10 @@ router.get('/docs', (req, res) => {
             obfuscatedSize: 'number - Obfuscated code size in bytes',
             expansionRatio: 'string - Size expansion percentage',
             securityLevel: 'string - Applied security level',
-            checksum: 'string - Integrity checksum'
+            checksum: 'string - Integrity checksum',
+            passes: 'array - Names of the passes that ran, in order',
+            seed: 'string - Seed used; pass it back as options.seed to reproduce this output',
+            optionChanges: 'array - {option, from, to, applied, reason} for each analyzer suggestion; `policy` decides which are applied'
           }
         },
         {
@@ -758,6 +924,44 @@ router.get('/docs', (req, res) => {
             code: 'string - Code to analyze'
           }
         },
+        {
+          method: 'POST',
+          path: '/validate',
+          description: 'Report all syntax errors without obfuscating',
+          requestBody: {
+            code: 'string - Code to validate'
+          },
+          response: {
+            valid: 'boolean - Whether the code parsed without errors',
+            diagnostics: 'array - {severity, message, line, column, snippet, expected} per error'
+          }
+        },
+        {
+          method: 'GET',
+          path: '/profiles',
+          description: 'List built-in and custom security profiles'
+        },
+        {
+          method: 'GET',
+          path: '/profiles/:name',
+          description: 'Get a profile with its inheritance chain and resolved options'
+        },
+        {
+          method: 'POST',
+          path: '/profiles',
+          description: 'Create or replace a custom security profile',
+          requestBody: {
+            name: 'string - Profile name (letters, digits, "-" and "_")',
+            extends: 'string - Optional profile to inherit options from',
+            description: 'string - Optional description',
+            options: 'object - Options overriding the inherited ones, checked against supportedOptions'
+          }
+        },
+        {
+          method: 'DELETE',
+          path: '/profiles/:name',
+          description: 'Delete a custom profile that no other profile extends'
+        },
         {
           method: 'GET',
           path: '/status',
@@ -884,14 +1088,17 @@ router.post('/download', async (req, res) => {
       });
     }
 
-    const sanitizedCode = securityMiddleware.sanitizeInput(code);
-    const mergedOptions = { 
-      obfuscationLevel: options.obfuscationLevel || 5,
-      securityProfile: options.securityProfile || 'professional',
-      ...options 
-    };
+    const inputProblem = securityMiddleware.inspectInput(code);
+    if (inputProblem) {
+      return sendInputProblem(req, res, inputProblem);
+    }
+    
+    const { options: mergedOptions, problem } = resolveOptions(options);
+    if (problem) {
+      return sendInputProblem(req, res, problem);
+    }
 
-    const result = await obfuscator.obfuscate(sanitizedCode, mergedOptions);
+    const result = await obfuscator.obfuscate(code, mergedOptions);
     
     // Set download headers
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -926,7 +1133,10 @@ router.post('/preview', async (req, res) => {
       });
     }
 
-    const sanitizedCode = securityMiddleware.sanitizeInput(code);
+    const inputProblem = securityMiddleware.inspectInput(code);
+    if (inputProblem) {
+      return sendInputProblem(req, res, inputProblem);
+    }
     
     // Use minimal options for preview
     const previewOptions = {
@@ -938,7 +1148,7 @@ router.post('/preview', async (req, res) => {
       obfuscationLevel: 2
     };
 
-    const result = await obfuscator.obfuscate(sanitizedCode, previewOptions);
+    const result = await obfuscator.obfuscate(code, previewOptions);
     
     // Get first N lines
     const linesArray = result.code.split('\n');
@@ -973,8 +1183,13 @@ router.use((req, res) => {
       'POST /api/obfuscate',
       'POST /api/obfuscate/batch',
       'POST /api/analyze',
+      'POST /api/validate',
       'POST /api/download',
       'POST /api/preview',
+      'GET /api/profiles',
+      'GET /api/profiles/:name',
+      'POST /api/profiles',
+      'DELETE /api/profiles/:name',
       'GET /api/status',
       'GET /api/features',
       'GET /api/config',
@@ -1,3 +1,4 @@
+import { createHash } from 'crypto';
 import { EntropyGenerator } from '../utils/entropy-generator.js';
 import { IdentifierRenamer } from '../engines/identifier-renamer.js';
 import { ByteEncryptor } from '../engines/byte-encryptor.js';
@@ -5,73 +6,137 @@ import { VirtualMachine } from '../engines/virtual-machine.js';
 import { ControlFlowObfuscator } from '../engines/control-flow.js';
 import { AntiDebug } from '../engines/anti-debug.js';
 import { DeadCodeInjector } from '../engines/dead-code-injector.js';
+import { NumberEncoder } from '../engines/number-encoder.js';
+import { LuauParser } from '../parsers/luau-parser.js';
+import { ScopeAnalyzer } from './scope-analyzer.js';
+import { PassManager } from './pass-manager.js';
+
+const FUNCTION_TYPES = new Set(['Function', 'LocalFunction', 'FunctionExpression']);
+
+// Built-in passes in their default order; each runs when its option is set or when listed in `passes`
+const BUILT_IN_PASSES = [
+  {
+    name: 'rename',
+    description: 'Rename resolved locals, keeping globals and preserved names',
+    enabled: options => options.variableRenaming,
+    run: ({ ast, entropy, options }) => {
+      const renamer = new IdentifierRenamer(entropy, { preservedNames: options.preservedNames });
+      renamer.rename(ast.analyzeScopes());
+    }
+  },
+  {
+    name: 'strings',
+    description: 'Encrypt string literals',
+    enabled: options => options.stringEncryption,
+    run: ({ ast, entropy }) => {
+      const encryptor = new ByteEncryptor(entropy);
+      ast.transform(encryptor.encryptStrings.bind(encryptor));
+      encryptor.emitPool(ast.ast);
+    }
+  },
+  {
+    name: 'numbers',
+    description: 'Rewrite numeric literals as equivalent expressions',
+    enabled: options => options.numberEncoding,
+    run: ({ ast, entropy, options }) => {
+      const encoder = new NumberEncoder(entropy, { hotLoopNumbers: options.hotLoopNumbers });
+      ast.transform(encoder.encode.bind(encoder));
+    }
+  },
+  {
+    name: 'control-flow',
+    description: 'Add opaque predicates and flatten blocks into dispatch loops',
+    enabled: options => options.controlFlowObfuscation,
+    run: ({ ast, entropy }) => {
+      const flowObfuscator = new ControlFlowObfuscator(entropy);
+      ast.transform(flowObfuscator.obfuscateFlow.bind(flowObfuscator), 'native');
+    }
+  },
+  {
+    name: 'dead-code',
+    description: 'Inject unreachable code',
+    enabled: options => options.deadCodeInjection,
+    run: ({ ast, entropy }) => {
+      const injector = new DeadCodeInjector(entropy);
+      ast.transform(injector.inject.bind(injector), 'native');
+    }
+  },
+  {
+    name: 'vm',
+    description: 'Run function bodies on the virtual machine',
+    enabled: options => options.vmObfuscation,
+    // Flattening would split the VM's locals across closures
+    after: ['control-flow', 'dead-code'],
+    run: ({ ast, entropy, options }) => {
+      const vm = new VirtualMachine(entropy, {
+        opcodeRandomization: options.opcodeRandomization,
+        stackRandomization: options.stackRandomization
+      });
+      ast.transform(vm.wrap.bind(vm), 'vm');
+      vm.emit(ast.ast);
+    }
+  },
+  {
+    name: 'anti-debug',
+    description: 'Prepend anti-debugging, anti-tampering and integrity checks',
+    enabled: options => options.antiDebug || options.antiTampering || options.integrityChecks,
+    run: ({ entropy, options, prelude }) => {
+      const antiDebug = new AntiDebug(entropy, options);
+      prelude.push(antiDebug.generateProtection());
+    }
+  }
+];
 
 export class Obfuscator {
   constructor() {
-    this.entropy = new EntropyGenerator();
-    this.sessionId = this.entropy.generateSessionId();
+    this.passes = new PassManager();
+    BUILT_IN_PASSES.forEach(pass => this.passes.register(pass));
   }
 
   async obfuscate(code, options) {
     const originalSize = Buffer.byteLength(code, 'utf8');
+    // Planned first so a bad `passes` list fails before any work is done
+    const plan = this.passes.plan(options);
     
-    // Generate session-specific entropy
-    const sessionSeed = this.entropy.generateSeed();
-    this.entropy.setSeed(sessionSeed);
+    // One generator per call: every choice below comes from it, so equal seeds give equal output
+    const entropy = new EntropyGenerator({
+      seed: this.resolveSeed(code, options),
+      unicodeIdentifiers: options.unicodeIdentifiers === true,
+      keyEntropy: options.keyEntropy
+    });
     
     let obfuscated = `--[[
        Obfuscated Using Celestial Obfuscator
-       Session: ${this.sessionId}
+       Session: ${entropy.generateSessionId()}
        Profile: ${options.securityProfile}
   ]]\n\n`;
 
     // Phase 1: Parse and transform AST
-    const ast = this.parseLuau(code);
-    
-    // Phase 2: Apply obfuscation layers based on options
-    if (options.variableRenaming) {
-      const renamer = new IdentifierRenamer(this.entropy);
-      ast.transform(renamer.transform.bind(renamer));
-    }
-    
-    if (options.stringEncryption) {
-      const encryptor = new ByteEncryptor(this.entropy);
-      ast.transform(encryptor.encryptStrings.bind(encryptor));
-    }
-    
-    if (options.controlFlowObfuscation) {
-      const flowObfuscator = new ControlFlowObfuscator(this.entropy);
-      ast.transform(flowObfuscator.obfuscateFlow.bind(flowObfuscator));
-    }
+    const ast = this.parseLuau(code, options);
+    this.routeFunctions(ast.ast, plan.includes('vm'), options.virtualizeFunctions);
     
-    if (options.deadCodeInjection) {
-      const injector = new DeadCodeInjector(this.entropy);
-      ast.transform(injector.inject.bind(injector));
-    }
-    
-    if (options.vmObfuscation) {
-      const vm = new VirtualMachine(this.entropy);
-      ast.transform(vm.wrap.bind(vm));
-    }
+    // Phase 2: Run the planned passes; code they add to `prelude` goes before the program
+    const prelude = [];
+    await this.passes.run(plan, { ast, entropy, options, prelude });
     
-    if (options.antiDebug || options.antiTampering || options.integrityChecks) {
-      const antiDebug = new AntiDebug(this.entropy, options);
-      const protectionCode = antiDebug.generateProtection();
+    prelude.forEach(protectionCode => {
       obfuscated += protectionCode + '\n\n';
-    }
+    });
     
     // Phase 3: Generate final code
     const transformedCode = ast.toString();
     obfuscated += transformedCode;
     
     // Apply final transformations
-    obfuscated = this.applyFinalTransformations(obfuscated, options);
+    obfuscated = this.applyFinalTransformations(obfuscated, entropy);
     
     const obfuscatedSize = Buffer.byteLength(obfuscated, 'utf8');
     const expansionRatio = ((obfuscatedSize / originalSize) * 100).toFixed(2) + '%';
     
     return {
       code: obfuscated,
+      passes: plan,
+      seed: entropy.seed,
       originalSize,
       obfuscatedSize,
       expansionRatio,
@@ -80,15 +145,134 @@ export class Obfuscator {
     };
   }
 
-  parseLuau(code) {
-    // Custom LuAU parser (simplified for example)
+  resolveSeed(code, options) {
+    if (options.seed === undefined) return undefined;
+    
+    // Content seeds change only when the source does, which suits CI builds
+    if (options.seed === 'content') {
+      return 'content:' + createHash('sha256').update(code).digest('hex');
+    }
+    return options.seed;
+  }
+
+  parseLuau(code, options = {}) {
+    const parser = new LuauParser({ preserveTypes: options.preserveTypes });
+    const ast = parser.parse(code);
+    
     return {
-      transform: (transformer) => transformer(this),
-      toString: () => code
+      ast,
+      // Engines are invoked once per AST node, parents before children; given a pipeline, only
+      // on the nodes of functions routed to it
+      transform: (transformer, pipeline) => pipeline ? this.walkPipeline(ast, pipeline, transformer) : parser.walk(ast, transformer),
+      // Re-run after structural changes; the result describes the tree as it is now
+      analyzeScopes: () => new ScopeAnalyzer().analyze(ast),
+      toString: () => parser.generateCode(ast)
     };
   }
+  
+  // Sets `pipeline` on every function: 'vm' for those the VM runs, 'native' for the rest, which
+  // only get the cheaper passes. `--@celestial:virtualize` before a statement, or a name in
+  // `virtualizeFunctions`, picks the functions the statement declares and `--@celestial:skip`
+  // keeps them native. Once anything is picked only picked functions are virtualized, otherwise
+  // all of them are; nested functions follow the function around them unless annotated
+  routeFunctions(chunk, virtualize, functionNames = []) {
+    const picked = new Map();
+    const names = new Set(functionNames);
+    
+    const collect = node => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(collect);
+        return;
+      }
+      
+      if (node.annotations || names.size > 0) {
+        this.declaredFunctions(node).forEach(({ fn, name }) => {
+          if (node.annotations && node.annotations.includes('skip')) {
+            picked.set(fn, 'native');
+          } else if ((node.annotations && node.annotations.includes('virtualize')) || names.has(name)) {
+            picked.set(fn, 'vm');
+          }
+        });
+      }
+      Object.values(node).forEach(collect);
+    };
+    collect(chunk);
+    
+    const selective = [...picked.values()].includes('vm');
+    const fallback = virtualize && !selective ? 'vm' : 'native';
+    
+    // Returns whether a native function is inside; such a function cannot be virtualized, as its
+    // nested functions would be compiled along with it
+    const assign = (node, route) => {
+      if (!node || typeof node !== 'object') return false;
+      if (Array.isArray(node)) {
+        return node.map(child => assign(child, route)).some(Boolean);
+      }
+      
+      const isFunction = FUNCTION_TYPES.has(node.type);
+      if (isFunction) {
+        route = virtualize ? picked.get(node) || route : 'native';
+      }
+      
+      const nativeInside = Object.values(node).map(child => assign(child, route)).some(Boolean);
+      if (!isFunction) return nativeInside;
+      
+      node.pipeline = nativeInside ? 'native' : route;
+      return node.pipeline === 'native';
+    };
+    assign(chunk, fallback);
+  }
+
+  declaredFunctions(statement) {
+    const parser = new LuauParser();
+    
+    switch (statement.type) {
+      case 'LocalFunction':
+        return [{ fn: statement, name: statement.name }];
+      case 'Function':
+        return [{ fn: statement, name: parser.generateCode(statement.name) + (statement.method ? `:${statement.method}` : '') }];
+      case 'Local':
+        return statement.values
+          .map((value, i) => ({ fn: value, name: statement.names[i] }))
+          .filter(({ fn }) => fn.type === 'FunctionExpression');
+      case 'Assignment':
+        return statement.values
+          .map((value, i) => ({ fn: value, name: statement.targets[i] && parser.generateCode(statement.targets[i]) }))
+          .filter(({ fn }) => fn.type === 'FunctionExpression');
+      case 'Return':
+        return statement.expressions
+          .filter(expression => expression.type === 'FunctionExpression')
+          .map(fn => ({ fn, name: null }));
+      default:
+        return [];
+    }
+  }
+
+  walkPipeline(node, pipeline, transformer, route = 'native', parent = null) {
+    if (Array.isArray(node)) {
+      [...node].forEach(child => this.walkPipeline(child, pipeline, transformer, route, parent));
+      return;
+    }
+    
+    if (!node || typeof node !== 'object') return;
+    
+    // Code added by earlier passes has no pipeline of its own and goes with its surroundings
+    if (node.pipeline) {
+      route = node.pipeline;
+    }
+    if (node.type && route === pipeline) {
+      transformer(node, parent);
+    }
+    
+    for (const value of Object.values(node)) {
+      if (value && typeof value === 'object') {
+        this.walkPipeline(value, pipeline, transformer, route, node.type ? node : parent);
+      }
+    }
+  }
 
-  applyFinalTransformations(code, options) {
+  applyFinalTransformations(code, entropy) {
     // Apply entropy-based transformations
     const lines = code.split('\n');
     const transformed = [];
@@ -97,13 +281,13 @@ export class Obfuscator {
       let line = lines[i];
       
       // Randomize whitespace
-      if (this.entropy.random() > 0.7) {
-        line = this.entropy.padWithRandomWhitespace(line);
+      if (entropy.random() > 0.7) {
+        line = entropy.padWithRandomWhitespace(line);
       }
       
       // Insert random comments
-      if (this.entropy.random() > 0.9) {
-        const comment = this.entropy.generateRandomComment();
+      if (entropy.random() > 0.9) {
+        const comment = entropy.generateRandomComment();
         line += ' ' + comment;
       }
       
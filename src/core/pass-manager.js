@@ -0,0 +1,178 @@
+import { existsSync, readdirSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const PASS_NAME = /^[a-z][a-z0-9-]*$/;
+const PLUGIN_FILE = /\.m?js$/;
+
+export class PassError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PassError';
+  }
+}
+
+export class PassManager {
+  constructor() {
+    // Registration order is the default run order
+    this.passes = new Map();
+  }
+  
+  // A pass is { name, description, enabled(options), dependencies, conflicts, after, run(context) }:
+  // dependencies must run earlier in the same plan, conflicts may not share a plan with it,
+  // and passes named in `after` run first whenever both are planned
+  register(pass) {
+    if (!pass || typeof pass !== 'object' || typeof pass.name !== 'string' || !PASS_NAME.test(pass.name)) {
+      throw new PassError('A pass needs a lowercase name made of letters, digits and "-"');
+    }
+    if (this.passes.has(pass.name)) {
+      throw new PassError(`Pass "${pass.name}" is already registered`);
+    }
+    if (typeof pass.run !== 'function') {
+      throw new PassError(`Pass "${pass.name}" has no run(context) function`);
+    }
+    
+    for (const field of ['dependencies', 'conflicts', 'after']) {
+      if (pass[field] !== undefined && (!Array.isArray(pass[field]) || !pass[field].every(name => typeof name === 'string'))) {
+        throw new PassError(`Pass "${pass.name}": ${field} must be an array of pass names`);
+      }
+    }
+    
+    this.passes.set(pass.name, {
+      description: '',
+      enabled: () => false,
+      ...pass,
+      dependencies: pass.dependencies || [],
+      conflicts: pass.conflicts || [],
+      after: pass.after || []
+    });
+  }
+
+  async loadPlugins(directory) {
+    if (!existsSync(directory)) return [];
+    
+    const loaded = [];
+    const files = readdirSync(directory).filter(file => PLUGIN_FILE.test(file)).sort();
+    
+    for (const file of files) {
+      const module = await import(pathToFileURL(path.join(directory, file)).href);
+      const passes = [].concat(module.default || []);
+      if (passes.length === 0) {
+        throw new PassError(`Plugin ${file} has no default export`);
+      }
+      
+      passes.forEach(pass => {
+        this.register(pass);
+        loaded.push(pass.name);
+      });
+    }
+    
+    // Checked once everything is registered, so plugins may refer to each other
+    for (const name of loaded) {
+      const pass = this.passes.get(name);
+      [...pass.dependencies, ...pass.conflicts, ...pass.after].forEach(other => this.get(other));
+    }
+    
+    return loaded;
+  }
+
+  get(name) {
+    if (!this.passes.has(name)) {
+      throw new PassError(`Unknown pass "${name}"; available passes: ${this.names().join(', ')}`);
+    }
+    return this.passes.get(name);
+  }
+
+  names() {
+    return [...this.passes.keys()];
+  }
+
+  describeAll() {
+    return this.names().map(name => {
+      const { description, dependencies, conflicts, after } = this.passes.get(name);
+      return { name, description, dependencies, conflicts, after };
+    });
+  }
+  
+  // An explicit `passes` list runs exactly as given; otherwise the passes enabled by the
+  // options run in registration order, together with whatever they depend on
+  plan(options) {
+    if (options.passes !== undefined) {
+      if (!Array.isArray(options.passes) || !options.passes.every(name => typeof name === 'string')) {
+        throw new PassError('passes must be an array of pass names');
+      }
+      options.passes.forEach(name => this.get(name));
+      this.validatePlan(options.passes);
+      return [...options.passes];
+    }
+    
+    const planned = new Set();
+    const include = (name, requiredBy) => {
+      if (requiredBy.includes(name)) {
+        throw new PassError(`Pass dependency cycle: ${[...requiredBy, name].join(' -> ')}`);
+      }
+      this.get(name).dependencies.forEach(dependency => include(dependency, [...requiredBy, name]));
+      planned.add(name);
+    };
+    
+    for (const [name, pass] of this.passes) {
+      if (pass.enabled(options)) {
+        include(name, []);
+      }
+    }
+    
+    const plan = this.sort([...planned]);
+    this.validatePlan(plan);
+    return plan;
+  }
+  
+  // Stable topological sort: registration order unless a dependency or `after` says otherwise
+  sort(names) {
+    const order = this.names();
+    const pending = [...names].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    const sorted = [];
+    
+    while (pending.length > 0) {
+      const index = pending.findIndex(name => {
+        const pass = this.passes.get(name);
+        return [...pass.dependencies, ...pass.after].every(other => !pending.includes(other));
+      });
+      if (index === -1) {
+        throw new PassError(`Passes cannot be ordered: ${pending.join(', ')}`);
+      }
+      sorted.push(...pending.splice(index, 1));
+    }
+    
+    return sorted;
+  }
+
+  validatePlan(plan) {
+    plan.forEach((name, position) => {
+      const pass = this.passes.get(name);
+      const earlier = plan.slice(0, position);
+      const later = plan.slice(position + 1);
+      
+      for (const dependency of pass.dependencies) {
+        if (!earlier.includes(dependency)) {
+          throw new PassError(`Pass "${name}" requires "${dependency}" to run before it`);
+        }
+      }
+      for (const conflict of pass.conflicts) {
+        if (plan.includes(conflict)) {
+          throw new PassError(`Pass "${name}" conflicts with "${conflict}"`);
+        }
+      }
+      for (const other of pass.after) {
+        if (later.includes(other)) {
+          throw new PassError(`Pass "${name}" must run after "${other}"`);
+        }
+      }
+    });
+  }
+
+  async run(plan, context) {
+    for (const name of plan) {
+      await this.passes.get(name).run(context);
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,268 @@
+import { existsSync, readFileSync } from 'fs';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+
+// Schema entries read like `number (1-10) - Overall obfuscation intensity` or `string (a|b) - ...`
+const SCHEMA_ENTRY = /^(\w+)(?: \(([^)]+)\))? - /;
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+export class ProfileError extends Error {
+  constructor(message, status = 400, problems = []) {
+    super(message);
+    this.name = 'ProfileError';
+    this.status = status;
+    this.problems = problems;
+  }
+}
+
+export class ProfileManager {
+  constructor(profiles, supportedOptions, options = {}) {
+    this.schema = this.parseSchema(supportedOptions);
+    this.profiles = new Map();
+    this.builtIn = new Set();
+    this.storePath = options.storePath || null;
+    this.pendingWrite = Promise.resolve();
+    
+    for (const [name, profile] of Object.entries(profiles)) {
+      this.register(name, profile);
+      this.builtIn.add(name);
+    }
+    
+    this.load();
+  }
+
+  parseSchema(supportedOptions) {
+    const schema = new Map();
+    
+    for (const [key, description] of Object.entries(supportedOptions)) {
+      const match = SCHEMA_ENTRY.exec(description);
+      if (!match) {
+        throw new Error(`Unreadable schema entry for option "${key}"`);
+      }
+      
+      const [, type, constraint] = match;
+      schema.set(key, {
+        type: type,
+        range: type === 'number' && constraint ? constraint.split('-').map(Number) : null,
+        values: type === 'string' && constraint ? constraint.split('|') : null
+      });
+    }
+    
+    return schema;
+  }
+
+  load() {
+    if (!this.storePath || !existsSync(this.storePath)) return;
+    
+    let stored;
+    try {
+      stored = JSON.parse(readFileSync(this.storePath, 'utf8')).profiles || {};
+    } catch (error) {
+      throw new Error(`Cannot read profile store ${this.storePath}: ${error.message}`);
+    }
+    
+    // Register everything first so profiles may extend ones stored after them
+    for (const [name, profile] of Object.entries(stored)) {
+      if (this.builtIn.has(name)) {
+        throw new Error(`Profile store ${this.storePath} redefines built-in profile "${name}"`);
+      }
+      this.register(name, profile);
+    }
+    
+    for (const name of Object.keys(stored)) {
+      this.resolveChain(name);
+    }
+  }
+
+  register(name, profile) {
+    const problems = this.validateProfile(profile);
+    if (problems.length > 0) {
+      throw new Error(`Invalid security profile "${name}": ${problems.join('; ')}`);
+    }
+    
+    this.profiles.set(name, profile);
+  }
+
+  async define(name, profile) {
+    if (typeof name !== 'string' || !PROFILE_NAME.test(name)) {
+      throw new ProfileError('Profile names must be 1-64 letters, digits, "-" or "_", starting with a letter or digit');
+    }
+    if (this.builtIn.has(name)) {
+      throw new ProfileError(`Built-in profile "${name}" cannot be redefined`, 409);
+    }
+    
+    const problems = this.validateProfile(profile);
+    if (problems.length > 0) {
+      throw new ProfileError(`Invalid security profile "${name}"`, 400, problems);
+    }
+    
+    const entry = { extends: profile.extends, description: profile.description || '', options: { ...profile.options } };
+    const previous = this.profiles.get(name);
+    this.profiles.set(name, entry);
+    
+    try {
+      this.resolveChain(name);
+      await this.save();
+    } catch (error) {
+      this.restore(name, previous);
+      throw error;
+    }
+    
+    return this.describe(name);
+  }
+
+  async remove(name) {
+    if (this.builtIn.has(name)) {
+      throw new ProfileError(`Built-in profile "${name}" cannot be deleted`, 409);
+    }
+    if (!this.profiles.has(name)) {
+      throw new ProfileError(`Unknown profile "${name}"`, 404);
+    }
+    
+    const dependents = this.names().filter(other => this.profiles.get(other).extends === name);
+    if (dependents.length > 0) {
+      throw new ProfileError(`Profile "${name}" is extended by other profiles`, 409, dependents.map(other => `"${other}" extends "${name}"`));
+    }
+    
+    const previous = this.profiles.get(name);
+    this.profiles.delete(name);
+    
+    try {
+      await this.save();
+    } catch (error) {
+      this.restore(name, previous);
+      throw error;
+    }
+  }
+
+  restore(name, profile) {
+    if (profile) {
+      this.profiles.set(name, profile);
+    } else {
+      this.profiles.delete(name);
+    }
+  }
+
+  save() {
+    if (!this.storePath) return Promise.resolve();
+    
+    const custom = Object.fromEntries(this.names().filter(name => !this.builtIn.has(name)).map(name => [name, this.profiles.get(name)]));
+    const contents = JSON.stringify({ profiles: custom }, null, 2);
+    
+    // Writes are queued so a slow write never lands after a newer one
+    const write = this.pendingWrite.then(async () => {
+      await mkdir(path.dirname(this.storePath), { recursive: true });
+      await writeFile(this.storePath, contents);
+    });
+    this.pendingWrite = write.catch(() => {});
+    
+    return write;
+  }
+
+  validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || !profile.options || typeof profile.options !== 'object' || Array.isArray(profile.options)) {
+      return ['profile must have an options object'];
+    }
+    
+    const problems = this.validateOptions(profile.options);
+    if ('securityProfile' in profile.options) {
+      problems.push('a profile cannot select another profile; use "extends"');
+    }
+    if (profile.extends !== undefined && typeof profile.extends !== 'string') {
+      problems.push('"extends" must be the name of a profile');
+    }
+    if (profile.description !== undefined && typeof profile.description !== 'string') {
+      problems.push('"description" must be a string');
+    }
+    return problems;
+  }
+
+  validateOptions(options) {
+    const problems = [];
+    
+    for (const [key, value] of Object.entries(options)) {
+      const rule = this.schema.get(key);
+      if (!rule) {
+        problems.push(`unknown option "${key}"`);
+        continue;
+      }
+      
+      if (this.typeOf(value) !== rule.type) {
+        problems.push(`"${key}" must be of type ${rule.type}`);
+        continue;
+      }
+      
+      if (rule.type === 'array' && !value.every(item => typeof item === 'string')) {
+        problems.push(`"${key}" must only contain strings`);
+      }
+      
+      if (rule.range && (value < rule.range[0] || value > rule.range[1])) {
+        problems.push(`"${key}" must be between ${rule.range[0]} and ${rule.range[1]}`);
+      }
+      
+      if (rule.values && !rule.values.includes(value)) {
+        problems.push(`"${key}" must be one of ${rule.values.join(', ')}`);
+      }
+    }
+    
+    return problems;
+  }
+
+  typeOf(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+  }
+  
+  // Returns the profile and its ancestors, root first
+  resolveChain(name) {
+    const chain = [];
+    const seen = new Set();
+    
+    for (let current = name; current !== undefined; current = this.profiles.get(current).extends) {
+      if (seen.has(current)) {
+        throw new ProfileError(`Profile "${name}" has an inheritance cycle`, 400, [[...seen, current].join(' -> ')]);
+      }
+      if (!this.profiles.has(current)) {
+        throw new ProfileError(`Profile "${chain[0]}" extends unknown profile "${current}"`);
+      }
+      
+      seen.add(current);
+      chain.unshift(current);
+    }
+    
+    return chain;
+  }
+
+  has(name) {
+    return this.profiles.has(name);
+  }
+
+  isBuiltIn(name) {
+    return this.builtIn.has(name);
+  }
+
+  names() {
+    return [...this.profiles.keys()];
+  }
+
+  getOptions(name) {
+    // Each profile overrides the toggles it sets on top of the one it extends
+    return Object.assign({}, ...this.resolveChain(name).map(current => this.profiles.get(current).options));
+  }
+
+  describe(name) {
+    const { description, extends: base } = this.profiles.get(name);
+    const options = this.getOptions(name);
+    
+    return {
+      level: options.obfuscationLevel,
+      description: description,
+      builtIn: this.builtIn.has(name),
+      extends: base || null,
+      features: Object.keys(options).filter(key => options[key] === true)
+    };
+  }
+
+  describeAll() {
+    return Object.fromEntries(this.names().map(name => [name, this.describe(name)]));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,250 @@
+export class Scope {
+  constructor(kind, node, parent) {
+    this.kind = kind;
+    this.node = node;
+    this.parent = parent;
+    this.children = [];
+    this.bindings = new Map();
+    this.declarations = [];
+    // Bindings of enclosing functions that this function (or a nested one) reads or writes
+    this.upvalues = new Set();
+    this.functionScope = kind === 'function' ? this : parent.functionScope;
+    
+    if (parent) {
+      parent.children.push(this);
+    }
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.bindings.has(name)) {
+        return scope.bindings.get(name);
+      }
+    }
+    return null;
+  }
+}
+
+export class Binding {
+  constructor(name, kind, scope, declaration, index) {
+    this.name = name;
+    this.kind = kind;
+    this.scope = scope;
+    // The node holding the name, and its position in that node's name or parameter list
+    this.declaration = declaration;
+    this.index = index;
+    this.references = [];
+    this.writes = [];
+    this.captured = false;
+    this.shadows = null;
+  }
+}
+
+export class ScopeAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.root = null;
+    this.bindings = [];
+    this.globals = new Map();
+    
+    // Kept off the AST so walking it never runs into scope cycles
+    this.scopes = new WeakMap();
+    this.resolved = new WeakMap();
+    this.declared = new WeakMap();
+  }
+
+  analyze(ast) {
+    this.reset();
+    
+    // The chunk itself behaves like a vararg function body
+    this.root = new Scope('function', ast, null);
+    this.visitBlock(ast, this.root);
+    
+    return this;
+  }
+
+  scopeOf(node) {
+    return this.scopes.get(node) || null;
+  }
+
+  resolve(node) {
+    return this.resolved.get(node) || null;
+  }
+
+  bindingsOf(node) {
+    return this.declared.get(node) || [];
+  }
+
+  isGlobal(node) {
+    return node.type === 'Variable' && !this.resolved.has(node);
+  }
+
+  visit(node, scope) {
+    if (!node || typeof node !== 'object') return;
+    
+    if (Array.isArray(node)) {
+      node.forEach(child => this.visit(child, scope));
+      return;
+    }
+    
+    switch (node.type) {
+      case 'Block':
+        this.visitBlock(node, new Scope('block', node, scope));
+        break;
+      
+      case 'Local':
+        // Values and annotations still see the previous meaning of the names
+        this.visit(node.values, scope);
+        this.visit(node.types, scope);
+        node.names.forEach((name, i) => this.declare(scope, name, 'local', node, i));
+        break;
+      
+      case 'LocalFunction':
+        // Declared before the body so the function can call itself
+        this.declare(scope, node.name, 'function', node, 0);
+        this.visitFunction(node, scope);
+        break;
+      
+      case 'Function':
+        if (node.name.type === 'Variable') {
+          this.reference(node.name, scope, true);
+        } else {
+          this.visit(node.name, scope);
+        }
+        this.visitFunction(node, scope);
+        break;
+      
+      case 'FunctionExpression':
+        this.visitFunction(node, scope);
+        break;
+      
+      case 'NumericFor': {
+        this.visit([node.start, node.end, node.step, node.variableType], scope);
+        
+        const body = new Scope('block', node.body, scope);
+        this.declare(body, node.variable, 'loop', node, 0);
+        this.visitBlock(node.body, body);
+        break;
+      }
+      
+      case 'GenericFor': {
+        this.visit([node.expressions, node.variableTypes], scope);
+        
+        const body = new Scope('block', node.body, scope);
+        node.variables.forEach((variable, i) => this.declare(body, variable, 'loop', node, i));
+        this.visitBlock(node.body, body);
+        break;
+      }
+      
+      case 'Repeat': {
+        // The `until` condition can see locals declared in the loop body
+        const body = new Scope('block', node.body, scope);
+        this.visitBlock(node.body, body);
+        this.visit(node.condition, body);
+        break;
+      }
+      
+      case 'Assignment':
+        node.targets.forEach(target => this.visitTarget(target, scope));
+        this.visit(node.values, scope);
+        break;
+      
+      case 'CompoundAssignment':
+        this.visitTarget(node.target, scope);
+        this.visit(node.value, scope);
+        break;
+      
+      case 'Variable':
+        this.reference(node, scope, false);
+        break;
+      
+      case 'Raw':
+      case 'ErrorNode':
+        // Pre-rendered code and parse failures have nothing to resolve
+        break;
+      
+      default:
+        for (const [key, value] of Object.entries(node)) {
+          if (key !== 'loc' && value && typeof value === 'object') {
+            this.visit(value, scope);
+          }
+        }
+    }
+  }
+
+  visitBlock(block, scope) {
+    this.scopes.set(block, scope);
+    block.statements.forEach(statement => this.visit(statement, scope));
+  }
+
+  visitFunction(node, parent) {
+    const scope = new Scope('function', node, parent);
+    this.scopes.set(node, scope);
+    
+    if (node.method) {
+      this.declare(scope, 'self', 'self', node, -1);
+    }
+    
+    node.params.forEach((param, i) => {
+      if (param !== '...') {
+        this.declare(scope, param, 'parameter', node, i);
+      }
+    });
+    
+    this.visit([node.generics, node.paramTypes, node.returnType], scope);
+    this.visitBlock(node.body, scope);
+  }
+
+  visitTarget(target, scope) {
+    if (target.type === 'Variable') {
+      this.reference(target, scope, true);
+    } else {
+      this.visit(target, scope);
+    }
+  }
+
+  declare(scope, name, kind, declaration, index) {
+    const binding = new Binding(name, kind, scope, declaration, index);
+    binding.shadows = scope.lookup(name);
+    
+    scope.bindings.set(name, binding);
+    scope.declarations.push(binding);
+    this.bindings.push(binding);
+    
+    if (!this.declared.has(declaration)) {
+      this.declared.set(declaration, []);
+    }
+    this.declared.get(declaration).push(binding);
+    
+    return binding;
+  }
+
+  reference(node, scope, write) {
+    const binding = scope.lookup(node.name);
+    
+    if (!binding) {
+      if (!this.globals.has(node.name)) {
+        this.globals.set(node.name, []);
+      }
+      this.globals.get(node.name).push(node);
+      return null;
+    }
+    
+    binding.references.push(node);
+    if (write) {
+      binding.writes.push(node);
+    }
+    this.resolved.set(node, binding);
+    
+    // Every function between the reference and the declaration has to capture the binding
+    for (let current = scope.functionScope; current !== binding.scope.functionScope; current = current.parent.functionScope) {
+      current.upvalues.add(binding);
+      binding.captured = true;
+    }
+    
+    return binding;
+  }
+}
\ No newline at end of file
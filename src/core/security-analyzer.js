@@ -1,5 +1,7 @@
 import { createHash } from 'crypto';
 
+export const ANALYSIS_POLICIES = ['advisory', 'enforce-minimum', 'auto'];
+
 export class SecurityAnalyzer {
   constructor() {
     this.threatLevels = {
@@ -256,45 +258,75 @@ export class SecurityAnalyzer {
     report.recommendations = [...report.recommendations, ...recommendations];
   }
 
-  generateSecurityProfile(analysis, options) {
+  generateSecurityProfile(analysis) {
     const profile = {
       level: 'Custom',
-      suggestedOptions: { ...options },
+      suggestedOptions: {},
+      // Why each suggested option was suggested, reported back when a policy applies it
+      reasons: {},
       rationale: []
     };
     
+    const suggest = (reason, options) => {
+      profile.rationale.push(reason);
+      for (const [key, value] of Object.entries(options)) {
+        profile.suggestedOptions[key] = value;
+        profile.reasons[key] = reason;
+      }
+    };
+    
     if (analysis.securityScore < 60) {
       profile.level = 'Military';
-      profile.suggestedOptions.obfuscationLevel = 10;
-      profile.suggestedOptions.vmObfuscation = true;
-      profile.suggestedOptions.antiDebug = true;
-      profile.suggestedOptions.antiTampering = true;
-      profile.suggestedOptions.integrityChecks = true;
-      profile.rationale.push('Low security score requires maximum protection');
+      suggest('Low security score requires maximum protection', {
+        obfuscationLevel: 10,
+        vmObfuscation: true,
+        antiDebug: true,
+        antiTampering: true,
+        integrityChecks: true
+      });
     } else if (analysis.securityScore < 80) {
       profile.level = 'Enterprise';
-      profile.suggestedOptions.obfuscationLevel = 8;
-      profile.suggestedOptions.vmObfuscation = true;
-      profile.suggestedOptions.antiDebug = true;
-      profile.rationale.push('Moderate security risk detected');
+      suggest('Moderate security risk detected', {
+        obfuscationLevel: 8,
+        vmObfuscation: true,
+        antiDebug: true
+      });
     } else {
       profile.level = 'Professional';
-      profile.suggestedOptions.obfuscationLevel = 6;
-      profile.rationale.push('Code appears relatively secure');
+      suggest('Code appears relatively secure', { obfuscationLevel: 6 });
     }
     
     // Adjust based on specific threats
     if (analysis.threats.length > 0) {
-      profile.suggestedOptions.antiTampering = true;
-      profile.rationale.push('Threats detected - enabling anti-tampering');
+      suggest('Threats detected - enabling anti-tampering', { antiTampering: true });
     }
     
     if (analysis.entropy < 4) {
-      profile.suggestedOptions.stringEncryption = true;
-      profile.suggestedOptions.variableRenaming = true;
-      profile.rationale.push('Low entropy - enabling encryption and renaming');
+      suggest('Low entropy - enabling encryption and renaming', { stringEncryption: true, variableRenaming: true });
     }
     
     return profile;
   }
+  
+  // `advisory` only reports suggestions, `enforce-minimum` applies those that add protection,
+  // `auto` applies all of them, lowering options too
+  applyPolicy(options, profile, policy) {
+    const applied = { ...options };
+    const changes = [];
+    
+    for (const [key, suggested] of Object.entries(profile.suggestedOptions)) {
+      const current = options[key];
+      if (current === suggested) continue;
+      
+      const raises = typeof suggested === 'number' ? !(current >= suggested) : suggested === true;
+      const apply = policy === 'auto' || (policy === 'enforce-minimum' && raises);
+      if (apply) {
+        applied[key] = suggested;
+      }
+      
+      changes.push({ option: key, from: current, to: suggested, applied: apply, reason: profile.reasons[key] });
+    }
+    
+    return { options: applied, changes };
+  }
 }
\ No newline at end of file
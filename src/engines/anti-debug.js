@@ -41,7 +41,7 @@ local ${checkName} = function()
   for i = 1, #code do
     ${hashName} = (${hashName} * 31 + string.byte(code, i)) % 0xFFFFFFFF
   end
-  if ${hashName} ~= ${this.entropy.randomInt(0, 0xFFFFFFFF)} then
+  if ${hashName} ~= ${this.entropy.secureInt(0, 0xFFFFFFFF)} then
     ${this.generateSubtleResponse()}
   end
 end
@@ -73,7 +73,7 @@ local ${checkName} = function(f)
   end
 end
 
-local ${expectedName} = ${this.entropy.randomInt(1000, 9999)}
+local ${expectedName} = ${this.entropy.secureInt(1000, 9999)}
 local ${this.entropy.generateIdentifier()} = setmetatable({}, {
   __index = function(t, k)
     if k == "integrity" then
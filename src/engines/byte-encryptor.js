@@ -1,115 +1,126 @@
+import { MathTransforms } from '../utils/math-transforms.js';
+
 export class ByteEncryptor {
   constructor(entropy) {
     this.entropy = entropy;
-    this.transformId = this.entropy.generateSeed();
-  }
-
-  encryptStrings(node) {
-    if (node.type === 'string') {
-      const encrypted = this.multiStageEncrypt(node.value);
-      node.value = this.generateDecryptor(encrypted);
-    }
-    
-    if (node.children) {
-      node.children.forEach(child => this.encryptStrings(child));
-    }
-  }
-
-  multiStageEncrypt(str) {
-    // Stage 1: Non-linear byte transformation
-    const bytes = new TextEncoder().encode(str);
-    const transformed1 = this.applyNonLinearTransform(bytes);
+    this.transformId = this.entropy.secureInt(0, 0xFFFFFFFF);
     
-    // Stage 2: Index-dependent arithmetic
-    const transformed2 = this.applyIndexTransform(transformed1);
+    // One secret byte cipher per build; each string adds its own keys on top
+    this.transforms = new MathTransforms(entropy);
+    this.chain = this.transforms.generateTransformChain(4, 8);
     
-    // Stage 3: Table-based remapping
-    const transformed3 = this.applyTableRemap(transformed2);
-    
-    return Array.from(transformed3);
+    // Every distinct string is encrypted once into a shared pool read through one accessor
+    this.accessorName = this.entropy.generateIdentifier();
+    this.pool = new Map();
   }
 
-  applyNonLinearTransform(bytes) {
-    const result = new Uint8Array(bytes.length);
-    for (let i = 0; i < bytes.length; i++) {
-      // Non-linear polynomial
-      let b = bytes[i];
-      b = ((b * 7) ^ (b >> 4)) & 0xFF;
-      b = ((b * 13) ^ (b << 3)) & 0xFF;
-      b = ((b * 31) ^ (b >> 5)) & 0xFF;
-      result[i] = b;
+  encryptStrings(node) {
+    if (node.type === 'String') {
+      if (!this.pool.has(node.value)) {
+        this.pool.set(node.value, { encrypted: this.encrypt(node.value), slots: [] });
+      }
+      
+      // The literal becomes `accessor(slot)`; slots are numbered once the pool is shuffled
+      const slot = { type: 'Number', value: 0 };
+      this.pool.get(node.value).slots.push(slot);
+      
+      node.type = 'Call';
+      node.function = { type: 'Variable', name: this.accessorName };
+      node.arguments = [slot];
+      delete node.value;
     }
-    return result;
   }
-
-  applyIndexTransform(bytes) {
-    const result = new Uint8Array(bytes.length);
-    const key = this.entropy.randomInt(1, 255);
+  
+  // Declares the pool and its accessor at the top of the chunk; call after every string was visited
+  emitPool(chunk) {
+    if (this.pool.size === 0) return;
     
-    for (let i = 0; i < bytes.length; i++) {
-      const indexFactor = (i * 17) % 256;
-      const byte = bytes[i];
-      result[i] = (byte ^ key ^ indexFactor) & 0xFF;
-    }
+    const entries = this.entropy.secureShuffle([...this.pool.values()]);
+    entries.forEach((entry, i) => {
+      entry.slots.forEach(slot => {
+        slot.value = i + 1;
+      });
+    });
     
-    return result;
+    chunk.statements.unshift({
+      type: 'Local',
+      names: [this.accessorName],
+      values: [{ type: 'Raw', code: this.generateAccessor(entries.map(entry => entry.encrypted)) }]
+    });
   }
-
-  applyTableRemap(bytes) {
-    // Generate random remapping table
-    const table = new Array(256);
-    for (let i = 0; i < 256; i++) table[i] = i;
+  
+  // Each byte goes through the build cipher, is XORed with a position-dependent key byte, then
+  // chained to the previous ciphertext byte so equal plaintext bytes never look alike
+  encrypt(str) {
+    const keys = {
+      key: this.entropy.secureInt(0, 255),
+      step: this.entropy.secureInt(1, 255),
+      iv: this.entropy.secureInt(0, 255)
+    };
     
-    // Fisher-Yates shuffle with entropy seed
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(this.entropy.random() * (i + 1));
-      [table[i], table[j]] = [table[j], table[i]];
-    }
+    // String values are byte strings, so every char is already one byte
+    const bytes = Array.from(str, char => char.charCodeAt(0) & 0xFF);
+    const cipher = new Array(bytes.length);
+    let previous = keys.iv;
     
-    const result = new Uint8Array(bytes.length);
     for (let i = 0; i < bytes.length; i++) {
-      result[i] = table[bytes[i]];
+      const mixed = this.transforms.applyTransformChain(bytes[i], this.chain) ^ this.keyByte(keys, i);
+      cipher[i] = (mixed + previous) % 256;
+      previous = cipher[i];
     }
     
-    return result;
+    return { ...keys, bytes: cipher };
   }
 
-  generateDecryptor(encryptedBytes) {
-    const decryptorName = this.entropy.generateIdentifier();
-    const tableName = this.entropy.generateIdentifier();
-    const resultName = this.entropy.generateIdentifier();
+  keyByte(keys, index) {
+    return (keys.key + index * keys.step) % 256;
+  }
+  
+  // Reference for the generated Lua, operation for operation
+  decrypt(encrypted) {
+    let previous = encrypted.iv;
     
-    // Generate inverse table
-    const table = new Array(256).fill(0);
-    const inverseTable = new Array(256);
-    for (let i = 0; i < 256; i++) inverseTable[table[i]] = i;
+    return encrypted.bytes.map((byte, i) => {
+      const mixed = (((byte - previous) % 256) + 256) % 256;
+      previous = byte;
+      return String.fromCharCode(this.transforms.invertTransformChain(mixed ^ this.keyByte(encrypted, i), this.chain));
+    }).join('');
+  }
+  
+  // Each pool entry is {iv, key, step, bytes...}; a string is decrypted on first use and
+  // cached, and its ciphertext dropped
+  generateAccessor(pool) {
+    const poolName = this.entropy.generateIdentifier();
+    const inverseName = this.entropy.generateIdentifier();
+    const cacheName = this.entropy.generateIdentifier();
+    
+    const entries = pool.map(encrypted => `{${[encrypted.iv, encrypted.key, encrypted.step, ...encrypted.bytes].join(',')}}`);
     
+    // Lua indices start at 1 and bytes start after the header, so byte i uses key index i - 4
     return `
-local ${decryptorName} = function(...)
-  local ${tableName} = {${inverseTable.join(',')}}
-  local ${resultName} = ""
-  local args = {...}
-  for i = 1, #args do
-    local b = args[i]
-    b = ${tableName}[b + 1] or 0
-    b = (b ~ ${this.entropy.randomInt(1, 255)}) + (i * 17) % 256
-    b = ((b * ${this.findInverse(31)}) ~ (b << 5)) & 0xFF
-    b = ((b * ${this.findInverse(13)}) ~ (b >> 3)) & 0xFF
-    b = ((b * ${this.findInverse(7)}) ~ (b << 4)) & 0xFF
-    ${resultName} = ${resultName} .. string.char(b)
+(function()
+  local ${poolName} = {${entries.join(',\n')}}
+  local ${inverseName} = ${this.transforms.generateInverseChain(this.chain).split('\n').join('\n  ')}
+  local ${cacheName} = {}
+  return function(slot)
+    local value = ${cacheName}[slot]
+    if value == nil then
+      local data = ${poolName}[slot]
+      local previous = data[1]
+      local chars = {}
+      for i = 4, #data do
+        local b = data[i]
+        local mixed = bit32.bxor((b - previous) % 256, (data[2] + (i - 4) * data[3]) % 256)
+        previous = b
+        chars[i - 3] = string.char(${inverseName}(mixed))
+      end
+      value = table.concat(chars)
+      ${cacheName}[slot] = value
+      ${poolName}[slot] = nil
+    end
+    return value
   end
-  return ${resultName}
-end
-
-${decryptorName}(${encryptedBytes.join(',')})
+end)()
 `.trim();
   }
-
-  findInverse(mult) {
-    // Find modular inverse for decryption
-    for (let i = 1; i < 256; i++) {
-      if ((mult * i) % 256 === 1) return i;
-    }
-    return 1;
-  }
 }
\ No newline at end of file
@@ -0,0 +1,766 @@
+import { LuauParser } from '../parsers/luau-parser.js';
+import { ScopeAnalyzer } from '../core/scope-analyzer.js';
+
+// Register machine instruction set. Every instruction is an opcode and operands A, B and C;
+// R is the register file, K the constants, U the upvalue boxes of the running closure and
+// host bindings are names the compiled function reads or writes outside itself
+export const INSTRUCTIONS = [
+  'MOVE',       // R[A] = R[B]
+  'LOADK',      // R[A] = K[B]
+  'LOADNIL',    // R[A] = nil
+  'LOADBOOL',   // R[A] = B ~= 0
+  'GETEXT',     // R[A] = host binding B
+  'SETEXT',     // host binding B = R[A]
+  'GETUPVAL',   // R[A] = U[B]
+  'SETUPVAL',   // U[B] = R[A]
+  'NEWBOX',     // R[A] = a box holding R[B]
+  'GETBOX',     // R[A] = the contents of box R[B]
+  'SETBOX',     // the contents of box R[A] = R[B]
+  'GETTABLE',   // R[A] = R[B][R[C]]
+  'SETTABLE',   // R[A][R[B]] = R[C]
+  'NEWTABLE',   // R[A] = {}
+  'SETLIST',    // R[A][C + i - 1] = R[A + i] for B values, or up to the top when B is 0
+  'SELF',       // R[A + 1] = R[B]; R[A] = R[B][R[C]]
+  'ADD', 'SUB', 'MUL', 'DIV', 'IDIV', 'MOD', 'POW', 'CONCAT',
+  'EQ', 'NE', 'LT', 'LE',  // R[A] = R[B] op R[C]
+  'UNM', 'NOT', 'LEN', 'TOSTRING',  // R[A] = op R[B]
+  'JMP',        // jump to A
+  'TEST',       // jump to B if R[A] is truthy
+  'TESTNOT',    // jump to B unless R[A] is truthy
+  'CALL',       // R[A], ... = R[A](R[A + 1], ...) with B - 1 arguments and C - 1 results; 0 means up to or set the top
+  'RETURN',     // return R[A], ... with B - 1 values, or up to the top when B is 0
+  'VARARG',     // R[A], ... = ... with B - 1 values, or all of them setting the top when B is 0
+  'CLOSURE',    // R[A] = a closure of prototype B
+  'FORPREP',    // check the numeric loop in R[A], R[A + 1], R[A + 2] and jump to B if it never runs
+  'FORLOOP',    // R[A] += R[A + 2] and jump to B while within the limit
+  'TFORPREP',   // turn a table in R[A] into next, R[A], nil unless its metatable iterates or calls
+  'TFORCALL',   // R[A + 3], ..., R[A + 2 + C] = R[A](R[A + 1], R[A + 2])
+  'TFORLOOP'    // if R[A + 3] ~= nil then R[A + 2] = R[A + 3] and jump to B
+];
+
+const ARITHMETIC = {
+  '+': 'ADD', '-': 'SUB', '*': 'MUL', '/': 'DIV', '//': 'IDIV', '%': 'MOD', '^': 'POW', '..': 'CONCAT',
+  '==': 'EQ', '~=': 'NE', '<': 'LT', '<=': 'LE'
+};
+// `a > b` is `b < a`, evaluated left to right all the same
+const SWAPPED = { '>': 'LT', '>=': 'LE' };
+const UNARY = { '-': 'UNM', 'not': 'NOT', '#': 'LEN' };
+const MULTIPLE_VALUES = new Set(['Call', 'MethodCall', 'Vararg']);
+// Array items are stored in batches so a long constructor does not need a register per item
+const SETLIST_BATCH = 50;
+
+export class CompileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CompileError';
+  }
+}
+
+export class BytecodeCompiler {
+  constructor() {
+    this.parser = new LuauParser();
+  }
+  
+  // Compiles a Function, LocalFunction or FunctionExpression node into a prototype
+  // { params, code: [{ op, a, b, c }], constants, protos, upvalues }. Names the function
+  // uses without declaring them come back as `externals`, for the host to bind
+  compile(node) {
+    const copy = structuredClone(node);
+    this.expandRaw(copy);
+    
+    this.scopes = new ScopeAnalyzer().analyze({ type: 'Block', statements: [copy] });
+    this.externals = [];
+    this.externalIndex = new Map();
+    
+    const state = this.compileFunction(copy, null);
+    return { proto: state.proto, externals: this.externals };
+  }
+  
+  // Earlier passes leave pre-rendered Lua behind; parse it so it compiles like everything else
+  expandRaw(node) {
+    if (!node || typeof node !== 'object') return;
+    
+    if (node.type === 'Block') {
+      node.statements = node.statements.flatMap(statement => statement.type === 'Raw' ? this.parseRaw(statement.code).statements : [statement]);
+    }
+    
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || !value || typeof value !== 'object') continue;
+      
+      if (Array.isArray(value)) {
+        value.forEach((child, i) => {
+          if (child && child.type === 'Raw') {
+            value[i] = this.parseRawExpression(child.code);
+          }
+          this.expandRaw(value[i]);
+        });
+      } else {
+        if (value.type === 'Raw') {
+          node[key] = this.parseRawExpression(value.code);
+        }
+        this.expandRaw(node[key]);
+      }
+    }
+  }
+
+  parseRaw(code) {
+    try {
+      return this.parser.parse(code);
+    } catch (error) {
+      throw new CompileError(`Cannot parse generated code: ${error.message}`);
+    }
+  }
+
+  parseRawExpression(code) {
+    const [statement] = this.parseRaw(`return ${code}`).statements;
+    if (!statement || statement.type !== 'Return' || statement.expressions.length !== 1) {
+      throw new CompileError('Generated code is not a single expression');
+    }
+    return statement.expressions[0];
+  }
+
+  compileFunction(node, parent) {
+    const state = {
+      node,
+      parent,
+      proto: { params: 0, code: [], constants: [], protos: [], upvalues: [] },
+      constants: new Map(),
+      registers: new Map(),
+      upvalues: new Map(),
+      free: 0,
+      loops: []
+    };
+    
+    // `self` is declared before the parameters, so it arrives as the first argument
+    const scope = this.scopes.scopeOf(node);
+    const params = this.scopes.bindingsOf(node).filter(binding => binding.scope === scope);
+    params.forEach(binding => this.declare(state, binding, this.allocate(state)));
+    state.proto.params = params.length;
+    
+    this.compileBlock(state, node.body);
+    this.emit(state, 'RETURN', 0, 1);
+    return state;
+  }
+
+  emit(state, op, a = 0, b = 0, c = 0) {
+    state.proto.code.push({ op, a, b, c });
+    return state.proto.code.length - 1;
+  }
+
+  here(state) {
+    return state.proto.code.length;
+  }
+
+  patch(state, jumps, target) {
+    jumps.forEach(index => {
+      const instruction = state.proto.code[index];
+      if (instruction.op === 'JMP') {
+        instruction.a = target;
+      } else {
+        instruction.b = target;
+      }
+    });
+  }
+
+  allocate(state, count = 1) {
+    const register = state.free;
+    state.free += count;
+    return register;
+  }
+
+  constant(state, value) {
+    const key = `${typeof value}:${value}`;
+    if (!state.constants.has(key)) {
+      state.proto.constants.push(value);
+      state.constants.set(key, state.proto.constants.length);
+    }
+    return state.constants.get(key);
+  }
+
+  declare(state, binding, register) {
+    state.registers.set(binding, register);
+    
+    // Locals that closures capture live in boxes, so every closure sees the same variable
+    if (binding.captured) {
+      this.emit(state, 'NEWBOX', register, register);
+    }
+  }
+
+  external(name, written) {
+    if (!this.externalIndex.has(name)) {
+      this.externals.push({ name, written: false });
+      this.externalIndex.set(name, this.externals.length);
+    }
+    
+    const index = this.externalIndex.get(name);
+    this.externals[index - 1].written ||= written;
+    return index;
+  }
+  
+  // Where a name lives: a register of this function, an upvalue, or a host binding
+  locate(state, node, written) {
+    const binding = this.scopes.resolve(node);
+    
+    if (binding && state.registers.has(binding)) {
+      return { kind: 'register', register: state.registers.get(binding), boxed: binding.captured };
+    }
+    
+    const upvalue = binding && this.resolveUpvalue(state, binding);
+    if (upvalue) {
+      return { kind: 'upvalue', index: upvalue };
+    }
+    
+    // Globals, and locals declared outside the compiled function
+    return { kind: 'external', index: this.external(node.name, written) };
+  }
+
+  resolveUpvalue(state, binding) {
+    if (state.upvalues.has(binding)) return state.upvalues.get(binding);
+    if (!state.parent) return null;
+    
+    let descriptor;
+    if (state.parent.registers.has(binding)) {
+      descriptor = [1, state.parent.registers.get(binding)];
+    } else {
+      const index = this.resolveUpvalue(state.parent, binding);
+      if (!index) return null;
+      descriptor = [0, index];
+    }
+    
+    state.proto.upvalues.push(descriptor);
+    state.upvalues.set(binding, state.proto.upvalues.length);
+    return state.proto.upvalues.length;
+  }
+
+  compileBlock(state, block) {
+    const free = state.free;
+    block.statements.forEach(statement => this.compileStatement(state, statement));
+    state.free = free;
+  }
+
+  compileStatement(state, node) {
+    const free = state.free;
+    
+    switch (node.type) {
+      case 'Local': {
+        const bindings = this.scopes.bindingsOf(node);
+        this.expressionList(state, node.values, free, bindings.length);
+        state.free = free + bindings.length;
+        bindings.forEach((binding, i) => this.declare(state, binding, free + i));
+        return;
+      }
+      
+      case 'LocalFunction': {
+        const binding = this.scopes.bindingsOf(node).find(candidate => candidate.kind === 'function');
+        const register = this.allocate(state);
+        
+        // Declared first so the function can refer to itself
+        if (binding.captured) {
+          this.emit(state, 'LOADNIL', register);
+          this.declare(state, binding, register);
+          const closure = this.allocate(state);
+          this.closure(state, node, closure);
+          this.emit(state, 'SETBOX', register, closure);
+          state.free = register + 1;
+        } else {
+          this.declare(state, binding, register);
+          this.closure(state, node, register);
+        }
+        return;
+      }
+      
+      case 'Function': {
+        // `function a.b:c()` stores into a.b.c
+        const name = node.method ? { type: 'MemberAccess', object: node.name, member: node.method } : node.name;
+        const target = this.prepareTarget(state, name);
+        const closure = this.allocate(state);
+        this.closure(state, node, closure);
+        this.store(state, target, closure);
+        break;
+      }
+      
+      case 'Assignment': {
+        // Every value is evaluated before anything is assigned, so `a, b = b, a` swaps
+        const targets = node.targets.map(target => this.prepareTarget(state, target, node.targets.length > 1));
+        const base = state.free;
+        this.expressionList(state, node.values, base, targets.length);
+        targets.forEach((target, i) => this.store(state, target, base + i));
+        break;
+      }
+      
+      case 'CompoundAssignment': {
+        // The target's object and key are evaluated once
+        const target = this.prepareTarget(state, node.target);
+        const value = this.allocate(state);
+        this.load(state, target, value);
+        const operand = this.operand(state, node.value);
+        this.emit(state, ARITHMETIC[node.operator], value, value, operand);
+        this.store(state, target, value);
+        break;
+      }
+      
+      case 'Call':
+      case 'MethodCall':
+        this.call(state, node, this.allocate(state), 0);
+        break;
+      
+      case 'Do':
+        this.compileBlock(state, node.body);
+        break;
+      
+      case 'If':
+        this.compileIf(state, node);
+        break;
+      
+      case 'While': {
+        const start = this.here(state);
+        const exit = this.condition(state, node.condition);
+        const loop = this.loop(state, () => this.compileBlock(state, node.body));
+        this.emit(state, 'JMP', start);
+        this.patch(state, loop.continues, start);
+        this.patch(state, [exit, ...loop.breaks], this.here(state));
+        break;
+      }
+      
+      case 'Repeat': {
+        // The condition sees the body's locals, so both share one scope
+        const start = this.here(state);
+        const loop = this.loop(state, () => {
+          node.body.statements.forEach(statement => this.compileStatement(state, statement));
+        });
+        this.patch(state, loop.continues, this.here(state));
+        const exit = this.condition(state, node.condition);
+        this.patch(state, [exit], start);
+        this.patch(state, loop.breaks, this.here(state));
+        break;
+      }
+      
+      case 'NumericFor':
+        this.compileNumericFor(state, node);
+        break;
+      
+      case 'GenericFor':
+        this.compileGenericFor(state, node);
+        break;
+      
+      case 'Return': {
+        const base = state.free;
+        const multiple = this.expressionList(state, node.expressions, base, -1);
+        this.emit(state, 'RETURN', base, multiple ? 0 : node.expressions.length + 1);
+        break;
+      }
+      
+      case 'Break':
+      case 'Continue': {
+        const loop = state.loops[state.loops.length - 1];
+        if (!loop) {
+          throw new CompileError(`${node.type} outside a loop`);
+        }
+        (node.type === 'Break' ? loop.breaks : loop.continues).push(this.emit(state, 'JMP'));
+        break;
+      }
+      
+      case 'TypeAlias':
+        break;
+      
+      default:
+        throw new CompileError(`Cannot compile ${node.type} statements`);
+    }
+    
+    state.free = free;
+  }
+
+  loop(state, compileBody) {
+    const loop = { breaks: [], continues: [] };
+    state.loops.push(loop);
+    compileBody();
+    state.loops.pop();
+    return loop;
+  }
+  
+  // Evaluates a condition and returns the jump taken when it is false, for the caller to patch
+  condition(state, node) {
+    const free = state.free;
+    const register = this.operand(state, node);
+    state.free = free;
+    return this.emit(state, 'TESTNOT', register);
+  }
+
+  compileIf(state, node) {
+    const clauses = [{ condition: node.condition, block: node.thenBlock }, ...node.elseIfs];
+    const ends = [];
+    
+    clauses.forEach((clause, i) => {
+      const next = this.condition(state, clause.condition);
+      this.compileBlock(state, clause.block);
+      if (i < clauses.length - 1 || node.elseBlock) {
+        ends.push(this.emit(state, 'JMP'));
+      }
+      this.patch(state, [next], this.here(state));
+    });
+    
+    if (node.elseBlock) {
+      this.compileBlock(state, node.elseBlock);
+    }
+    this.patch(state, ends, this.here(state));
+  }
+
+  compileNumericFor(state, node) {
+    const base = this.allocate(state, 3);
+    this.expression(state, node.start, base);
+    this.expression(state, node.end, base + 1);
+    if (node.step) {
+      this.expression(state, node.step, base + 2);
+    } else {
+      this.emit(state, 'LOADK', base + 2, this.constant(state, 1));
+    }
+    
+    const prepare = this.emit(state, 'FORPREP', base);
+    const body = this.here(state);
+    
+    // Each iteration gets its own copy of the counter, which closures may capture
+    const loop = this.loop(state, () => {
+      const [binding] = this.scopes.bindingsOf(node);
+      const variable = this.allocate(state);
+      this.emit(state, 'MOVE', variable, base);
+      this.declare(state, binding, variable);
+      this.compileBlock(state, node.body);
+    });
+    
+    this.patch(state, loop.continues, this.here(state));
+    this.emit(state, 'FORLOOP', base, body);
+    this.patch(state, [prepare, ...loop.breaks], this.here(state));
+  }
+
+  compileGenericFor(state, node) {
+    const base = state.free;
+    this.expressionList(state, node.expressions, base, 3);
+    state.free = base + 3;
+    
+    this.emit(state, 'TFORPREP', base);
+    const enter = this.emit(state, 'JMP');
+    const body = this.here(state);
+    const bindings = this.scopes.bindingsOf(node);
+    
+    const loop = this.loop(state, () => {
+      const variables = this.allocate(state, bindings.length);
+      bindings.forEach((binding, i) => this.declare(state, binding, variables + i));
+      this.compileBlock(state, node.body);
+    });
+    
+    this.patch(state, [enter, ...loop.continues], this.here(state));
+    this.emit(state, 'TFORCALL', base, 0, bindings.length);
+    this.emit(state, 'TFORLOOP', base, body);
+    this.patch(state, loop.breaks, this.here(state));
+  }
+  
+  // Assignment targets have their object and key evaluated up front. With several targets an
+  // earlier store may change a local used as a later object or key, so those locals are copied
+  prepareTarget(state, node, copy = false) {
+    const operand = expression => {
+      if (!copy) return this.operand(state, expression);
+      const register = this.allocate(state);
+      this.expression(state, expression, register);
+      return register;
+    };
+    
+    switch (node.type) {
+      case 'Variable':
+        return { kind: 'variable', node };
+      case 'MemberAccess': {
+        const object = operand(node.object);
+        const key = this.allocate(state);
+        this.emit(state, 'LOADK', key, this.constant(state, node.member));
+        return { kind: 'index', object, key };
+      }
+      case 'IndexAccess': {
+        const object = operand(node.object);
+        return { kind: 'index', object, key: operand(node.index) };
+      }
+    }
+    throw new CompileError(`Cannot assign to ${node.type}`);
+  }
+
+  load(state, target, register) {
+    if (target.kind === 'index') {
+      this.emit(state, 'GETTABLE', register, target.object, target.key);
+    } else {
+      this.loadVariable(state, target.node, register);
+    }
+  }
+
+  store(state, target, register) {
+    if (target.kind === 'index') {
+      this.emit(state, 'SETTABLE', target.object, target.key, register);
+      return;
+    }
+    
+    const location = this.locate(state, target.node, true);
+    if (location.kind === 'register') {
+      this.emit(state, location.boxed ? 'SETBOX' : 'MOVE', location.register, register);
+    } else {
+      this.emit(state, location.kind === 'upvalue' ? 'SETUPVAL' : 'SETEXT', register, location.index);
+    }
+  }
+
+  loadVariable(state, node, register) {
+    const location = this.locate(state, node, false);
+    if (location.kind === 'register') {
+      this.emit(state, location.boxed ? 'GETBOX' : 'MOVE', register, location.register);
+    } else {
+      this.emit(state, location.kind === 'upvalue' ? 'GETUPVAL' : 'GETEXT', register, location.index);
+    }
+  }
+  
+  // A register holding the value of `node`: a plain local's own register, or a new temporary
+  operand(state, node) {
+    if (node.type === 'Variable') {
+      const binding = this.scopes.resolve(node);
+      if (binding && state.registers.has(binding) && !binding.captured) {
+        return state.registers.get(binding);
+      }
+    }
+    
+    const register = this.allocate(state);
+    this.expression(state, node, register);
+    return register;
+  }
+  
+  // Evaluates `nodes` into registers from `base`, which must be the first free register.
+  // With `count` -1 a call or `...` at the end passes on all its values and the result is true
+  expressionList(state, nodes, base, count) {
+    state.free = base;
+    
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      const last = i === nodes.length - 1;
+      
+      if (last && MULTIPLE_VALUES.has(node.type) && (count === -1 || count > i)) {
+        const wanted = count === -1 ? -1 : count - i;
+        this.multiple(state, node, this.allocate(state), wanted);
+        if (count === -1) return true;
+        state.free = base + count;
+        return false;
+      }
+      
+      this.expression(state, node, this.allocate(state));
+    }
+    
+    for (let i = nodes.length; i < count; i++) {
+      this.emit(state, 'LOADNIL', this.allocate(state));
+    }
+    return false;
+  }
+
+  multiple(state, node, base, wanted) {
+    if (node.type === 'Vararg') {
+      this.emit(state, 'VARARG', base, wanted + 1);
+      state.free = base + Math.max(wanted, 0);
+    } else {
+      this.call(state, node, base, wanted);
+    }
+  }
+  
+  // Calls with the function in `base`, the first free register; results land from `base` on
+  call(state, node, base, results) {
+    state.free = base + 1;
+    let argumentBase = base + 1;
+    
+    if (node.type === 'MethodCall') {
+      this.expression(state, node.object, base);
+      const key = this.allocate(state, 2) + 1;
+      this.emit(state, 'LOADK', key, this.constant(state, node.method));
+      this.emit(state, 'SELF', base, base, key);
+      state.free = base + 2;
+      argumentBase = base + 2;
+    } else {
+      this.expression(state, node.function, base);
+    }
+    
+    const multiple = this.expressionList(state, node.arguments, argumentBase, -1);
+    const argumentCount = argumentBase - base - 1 + node.arguments.length;
+    this.emit(state, 'CALL', base, multiple ? 0 : argumentCount + 1, results + 1);
+    state.free = base + Math.max(results, 0);
+  }
+
+  expression(state, node, target) {
+    const free = state.free;
+    
+    switch (node.type) {
+      case 'Nil':
+        this.emit(state, 'LOADNIL', target);
+        break;
+      case 'Boolean':
+        this.emit(state, 'LOADBOOL', target, node.value ? 1 : 0);
+        break;
+      case 'Number':
+      case 'String':
+        this.emit(state, 'LOADK', target, this.constant(state, node.value));
+        break;
+      case 'Vararg':
+        this.emit(state, 'VARARG', target, 2);
+        break;
+      case 'Variable':
+        this.loadVariable(state, node, target);
+        break;
+      case 'Paren':
+      case 'TypeAssertion':
+        this.expression(state, node.expression, target);
+        break;
+      
+      case 'Call':
+      case 'MethodCall': {
+        const base = this.allocate(state);
+        this.call(state, node, base, 1);
+        if (base !== target) {
+          this.emit(state, 'MOVE', target, base);
+        }
+        break;
+      }
+      
+      case 'MemberAccess':
+      case 'IndexAccess': {
+        const object = this.operand(state, node.object);
+        let key;
+        if (node.type === 'MemberAccess') {
+          key = this.allocate(state);
+          this.emit(state, 'LOADK', key, this.constant(state, node.member));
+        } else {
+          key = this.operand(state, node.index);
+        }
+        this.emit(state, 'GETTABLE', target, object, key);
+        break;
+      }
+      
+      case 'BinaryOperation':
+        this.binary(state, node, target);
+        break;
+      
+      case 'UnaryOperation':
+        this.emit(state, UNARY[node.operator], target, this.operand(state, node.argument));
+        break;
+      
+      case 'FunctionExpression':
+        this.closure(state, node, target);
+        break;
+      
+      case 'Table':
+        this.table(state, node, target);
+        break;
+      
+      case 'IfExpression': {
+        const clauses = [{ condition: node.condition, value: node.consequent }, ...node.elseIfs];
+        const ends = [];
+        clauses.forEach(clause => {
+          const next = this.condition(state, clause.condition);
+          this.expression(state, clause.value, target);
+          ends.push(this.emit(state, 'JMP'));
+          this.patch(state, [next], this.here(state));
+        });
+        this.expression(state, node.alternate, target);
+        this.patch(state, ends, this.here(state));
+        break;
+      }
+      
+      case 'InterpolatedString': {
+        // Luau formats each value with tostring, as `%*` does
+        const result = this.allocate(state);
+        const part = this.allocate(state);
+        this.emit(state, 'LOADK', result, this.constant(state, node.strings[0]));
+        node.expressions.forEach((expression, i) => {
+          this.expression(state, expression, part);
+          this.emit(state, 'TOSTRING', part, part);
+          this.emit(state, 'CONCAT', result, result, part);
+          if (node.strings[i + 1]) {
+            this.emit(state, 'LOADK', part, this.constant(state, node.strings[i + 1]));
+            this.emit(state, 'CONCAT', result, result, part);
+          }
+        });
+        this.emit(state, 'MOVE', target, result);
+        break;
+      }
+      
+      default:
+        throw new CompileError(`Cannot compile ${node.type} expressions`);
+    }
+    
+    state.free = free;
+  }
+
+  binary(state, node, target) {
+    const { operator } = node;
+    
+    if (operator === 'and' || operator === 'or') {
+      this.expression(state, node.left, target);
+      const skip = this.emit(state, operator === 'and' ? 'TESTNOT' : 'TEST', target);
+      this.expression(state, node.right, target);
+      this.patch(state, [skip], this.here(state));
+      return;
+    }
+    
+    const left = this.operand(state, node.left);
+    const right = this.operand(state, node.right);
+    
+    if (SWAPPED[operator]) {
+      this.emit(state, SWAPPED[operator], target, right, left);
+    } else if (ARITHMETIC[operator]) {
+      this.emit(state, ARITHMETIC[operator], target, left, right);
+    } else {
+      throw new CompileError(`Cannot compile the ${operator} operator`);
+    }
+  }
+
+  closure(state, node, target) {
+    const child = this.compileFunction(node, state);
+    state.proto.protos.push(child.proto);
+    this.emit(state, 'CLOSURE', target, state.proto.protos.length);
+  }
+
+  table(state, node, target) {
+    const table = this.allocate(state);
+    this.emit(state, 'NEWTABLE', table);
+    
+    let pending = 0;
+    let index = 1;
+    const flush = () => {
+      if (pending > 0) {
+        this.emit(state, 'SETLIST', table, pending, index);
+        index += pending;
+        pending = 0;
+      }
+      state.free = table + 1;
+    };
+    
+    node.fields.forEach((field, i) => {
+      if (field.type === 'ArrayField') {
+        // A trailing call or `...` contributes all of its values
+        if (i === node.fields.length - 1 && MULTIPLE_VALUES.has(field.value.type)) {
+          this.multiple(state, field.value, this.allocate(state), -1);
+          this.emit(state, 'SETLIST', table, 0, index);
+          pending = 0;
+          return;
+        }
+        
+        this.expression(state, field.value, this.allocate(state));
+        if (++pending === SETLIST_BATCH) flush();
+        return;
+      }
+      
+      const free = state.free;
+      let key;
+      if (field.type === 'NamedField') {
+        key = this.allocate(state);
+        this.emit(state, 'LOADK', key, this.constant(state, field.key));
+      } else {
+        key = this.operand(state, field.key);
+      }
+      this.emit(state, 'SETTABLE', table, key, this.operand(state, field.value));
+      state.free = free;
+    });
+    
+    flush();
+    if (table !== target) {
+      this.emit(state, 'MOVE', target, table);
+    }
+  }
+}
\ No newline at end of file
@@ -1,80 +1,97 @@
+import { MathTransforms } from '../utils/math-transforms.js';
+
 export class ControlFlowObfuscator {
   constructor(entropy) {
     this.entropy = entropy;
+    this.transforms = new MathTransforms(entropy);
     this.predicateCount = 0;
+    this.generatedBlocks = new WeakSet();
   }
 
   obfuscateFlow(node) {
-    if (node.type === 'if' || node.type === 'while' || node.type === 'for') {
+    if (node.type === 'If' || node.type === 'While' || node.type === 'Repeat') {
       this.obfuscateCondition(node);
     }
     
-    if (node.type === 'block') {
-      this.injectOpaquePredicates(node);
-      this.flattenControlFlow(node);
+    if (node.type === 'If') {
+      node.elseIfs.forEach(elseif => this.obfuscateCondition(elseif));
     }
     
-    if (node.children) {
-      node.children.forEach(child => this.obfuscateFlow(child));
+    if (node.type === 'Block' && !this.generatedBlocks.has(node)) {
+      this.injectOpaquePredicates(node);
+      this.flattenControlFlow(node);
     }
   }
 
   obfuscateCondition(node) {
-    const predicate = this.generateOpaquePredicate();
-    const newCondition = this.combineConditions(node.condition, predicate);
-    node.condition = newCondition;
+    node.condition = this.combineConditions(node.condition);
   }
 
-  generateOpaquePredicate() {
+  generateOpaquePredicate(truthy = true) {
     this.predicateCount++;
     
+    const a = this.entropy.randomInt(1, 255);
+    const b = this.entropy.randomInt(1, 255);
+    const modulus = this.entropy.randomInt(2, 11);
+    const letter = 65 + this.entropy.randomInt(0, 25);
+    const mixed = this.transforms.generateMba(`${this.predicateCount} ^ ${a}`, { depth: 2 });
+    
+    // Each entry is an expression and the value it always evaluates to
     const predicates = [
-      `(math.sin(${this.predicateCount}) * 1000) % 2 == ${this.entropy.randomInt(0, 1)}`,
-      `bit32.bxor(${this.predicateCount}, ${this.entropy.randomInt(1, 255)}) > ${this.entropy.randomInt(0, 127)}`,
-      `string.byte("X", 1) * ${this.predicateCount} % ${this.entropy.randomInt(2, 11)} == 0`,
-      `os.clock() * ${this.entropy.randomInt(100, 1000)} % ${this.entropy.randomInt(2, 5)} ~= 0`,
-      `table.concat({"a", "b", "c"}) ~= "" and ${this.predicateCount} * 0 == 0`
+      [`(${a} * ${a} + ${a}) % 2`, 0],
+      [`bit32.bxor(${this.predicateCount}, ${a})`, this.predicateCount ^ a],
+      [`string.byte("${String.fromCharCode(letter)}", 1) * ${this.predicateCount} % ${modulus}`, (letter * this.predicateCount) % modulus],
+      [`math.max(${a}, ${b}) - math.min(${a}, ${b})`, Math.abs(a - b)],
+      [`#table.concat({"a", "b", "c"}) * ${this.predicateCount}`, 3 * this.predicateCount],
+      [mixed.code, this.transforms.evaluateMba(mixed.tree, {})]
     ];
     
-    return this.entropy.randomChoice(predicates);
+    const [expression, value] = this.entropy.randomChoice(predicates);
+    return `${expression} ${truthy ? '==' : '~='} ${value}`;
   }
 
-  combineConditions(original, predicate) {
+  combineConditions(original) {
     const combiners = ['and', 'or'];
     const combiner = this.entropy.randomChoice(combiners);
     
+    // `x and true` and `x or false` keep the truthiness of x
+    const predicate = { type: 'Raw', code: this.generateOpaquePredicate(combiner === 'and') };
+    
     if (this.entropy.random() > 0.5) {
-      return `(${original} ${combiner} ${predicate})`;
+      return { type: 'BinaryOperation', operator: combiner, left: original, right: predicate };
     } else {
-      return `(${predicate} ${combiner} ${original})`;
+      return { type: 'BinaryOperation', operator: combiner, left: predicate, right: original };
     }
   }
 
   injectOpaquePredicates(node) {
     const numPredicates = this.entropy.randomInt(1, 5);
     
+    // Nothing may follow a trailing return, break or continue
+    const last = node.statements[node.statements.length - 1];
+    const terminated = last && ['Return', 'Break', 'Continue'].includes(last.type);
+    const maxPosition = terminated ? node.statements.length - 1 : node.statements.length;
+    
     for (let i = 0; i < numPredicates; i++) {
-      const predicate = this.generateOpaquePredicate();
+      const predicate = this.generateOpaquePredicate(false);
       const deadCode = this.generateDeadBlock();
       
-      node.children.unshift({
-        type: 'if',
-        condition: predicate,
-        thenBlock: deadCode
+      node.statements.splice(this.entropy.randomInt(0, maxPosition), 0, {
+        type: 'Raw',
+        code: `if ${predicate} then\n${deadCode}\nend`
       });
     }
   }
 
   generateDeadBlock() {
     const statements = this.entropy.randomInt(1, 5);
-    let block = '{';
+    const block = [];
     
     for (let i = 0; i < statements; i++) {
-      block += this.generateDeadStatement() + ';';
+      block.push(this.generateDeadStatement());
     }
     
-    block += '}';
-    return block;
+    return block.join('\n');
   }
 
   generateDeadStatement() {
@@ -90,10 +107,46 @@ export class ControlFlowObfuscator {
   }
 
   flattenControlFlow(node) {
-    if (node.children.length < 2) return;
+    if (node.statements.length < 2) return;
+    if (!node.statements.every(stmt => this.canFlatten(stmt))) return;
+    
+    node.statements = this.generateDispatcher(node.statements);
+  }
+
+  canFlatten(stmt) {
+    // Each statement ends up in its own closure, so it must not declare locals
+    // that later statements see, nor leave the enclosing function or loop
+    if (stmt.type === 'Local' || stmt.type === 'LocalFunction' || stmt.type === 'TypeAlias') return false;
+    return !this.escapesClosure(stmt, false);
+  }
+
+  escapesClosure(node, inLoop) {
+    if (!node || typeof node !== 'object') return false;
+    
+    if (Array.isArray(node)) {
+      return node.some(child => this.escapesClosure(child, inLoop));
+    }
+    
+    switch (node.type) {
+      case 'Return':
+      case 'Vararg':
+        return true;
+      case 'Break':
+      case 'Continue':
+        return !inLoop;
+      case 'Function':
+      case 'LocalFunction':
+      case 'FunctionExpression':
+        return false;
+      case 'While':
+      case 'Repeat':
+      case 'NumericFor':
+      case 'GenericFor':
+        inLoop = true;
+        break;
+    }
     
-    const dispatcher = this.generateDispatcher(node.children);
-    node.children = [dispatcher];
+    return Object.values(node).some(value => this.escapesClosure(value, inLoop));
   }
 
   generateDispatcher(statements) {
@@ -101,42 +154,63 @@ export class ControlFlowObfuscator {
     const stateVar = this.entropy.generateIdentifier();
     const cases = [];
     
-    let code = `
-local ${stateVar} = 1
-local ${dispatchVar} = {
-`;
-    
     statements.forEach((stmt, i) => {
-      const caseLabel = this.entropy.generateIdentifier();
-      cases.push(caseLabel);
+      const body = {
+        type: 'Block',
+        statements: [
+          stmt,
+          { type: 'Raw', code: `${stateVar} = ${this.generateNextState(i, statements.length)}` }
+        ]
+      };
+      this.generatedBlocks.add(body);
       
-      code += `  [${i + 1}] = function()
-    ${this.statementToString(stmt)}
-    ${stateVar} = ${this.generateNextState(i, statements.length)}
-  end,\n`;
+      cases.push({
+        type: 'IndexField',
+        key: { type: 'Number', value: i + 1 },
+        value: { type: 'FunctionExpression', params: [], body: body }
+      });
     });
     
-    code += `}
-
-while ${stateVar} and ${dispatchVar}[${stateVar}] do
-  ${dispatchVar}[${stateVar}]()
-end`;
+    // Case order in the table does not matter, only the keys do
+    for (let i = cases.length - 1; i > 0; i--) {
+      const j = this.entropy.randomInt(0, i);
+      [cases[i], cases[j]] = [cases[j], cases[i]];
+    }
     
-    return code;
-  }
-
-  statementToString(stmt) {
-    if (typeof stmt === 'string') return stmt;
-    if (stmt.value) return stmt.value;
-    return '-- statement';
+    // The dispatch table is referenced through real nodes so renaming stays consistent if it runs later
+    const currentCase = () => ({
+      type: 'IndexAccess',
+      object: { type: 'Variable', name: dispatchVar },
+      index: { type: 'Raw', code: stateVar }
+    });
+    
+    const loopBody = {
+      type: 'Block',
+      statements: [{ type: 'Call', function: currentCase(), arguments: [] }]
+    };
+    this.generatedBlocks.add(loopBody);
+    
+    return [
+      { type: 'Raw', code: `local ${stateVar} = 1` },
+      { type: 'Local', names: [dispatchVar], values: [{ type: 'Table', fields: cases }] },
+      {
+        type: 'While',
+        condition: { type: 'BinaryOperation', operator: 'and', left: { type: 'Raw', code: stateVar }, right: currentCase() },
+        body: loopBody
+      }
+    ];
   }
 
   generateNextState(current, total) {
+    // States are 1-based; running past the last case ends the dispatch loop
+    const next = current + 2;
+    const key = this.entropy.randomInt(1, 255);
+    
     const patterns = [
-      `${current + 2}`,  // Linear
-      `math.random(1, ${total})`,  // Random
-      `${current % ${total}} + 1`,  // Modular
-      `bit32.bxor(${current}, ${this.entropy.randomInt(1, 255)}) % ${total} + 1`  // XOR pattern
+      `${next}`,  // Linear
+      `${next + key} - ${key}`,  // Offset
+      `${(next + total) % total} + ${next - (next + total) % total}`,  // Modular
+      `bit32.bxor(${next ^ key}, ${key})`  // XOR pattern
     ];
     
     return this.entropy.randomChoice(patterns);
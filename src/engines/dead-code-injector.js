@@ -1,30 +1,30 @@
 export class DeadCodeInjector {
   constructor(entropy) {
     this.entropy = entropy;
-    this.injectionPoints = [];
   }
 
   inject(node) {
-    this.identifyInjectionPoints(node);
-    this.applyInjections(node);
+    if (node.type !== 'Block' || node.statements.length === 0) return;
+    
+    const injectionPoints = this.identifyInjectionPoints(node);
+    this.applyInjections(node, injectionPoints);
   }
 
   identifyInjectionPoints(node) {
-    if (!node.children || node.children.length === 0) return;
-    
-    const maxInjections = Math.min(10, Math.floor(node.children.length * 0.3));
+    const injectionPoints = [];
+    const maxInjections = Math.min(10, Math.floor(node.statements.length * 0.3));
     const numInjections = this.entropy.randomInt(1, maxInjections);
     
     for (let i = 0; i < numInjections; i++) {
-      const pos = this.entropy.randomInt(0, node.children.length - 1);
-      this.injectionPoints.push({
-        parent: node,
+      // Inserting before an existing statement keeps a trailing return last
+      const pos = this.entropy.randomInt(0, node.statements.length - 1);
+      injectionPoints.push({
         position: pos,
         type: this.selectInjectionType()
       });
     }
     
-    node.children.forEach(child => this.identifyInjectionPoints(child));
+    return injectionPoints;
   }
 
   selectInjectionType() {
@@ -42,15 +42,18 @@ export class DeadCodeInjector {
     return this.entropy.randomChoice(types);
   }
 
-  applyInjections(node) {
-    this.injectionPoints.forEach(point => {
-      if (point.parent === node) {
+  applyInjections(node, injectionPoints) {
+    // Splice from the back so earlier positions stay valid
+    injectionPoints
+      .sort((a, b) => b.position - a.position)
+      .forEach(point => {
         const injection = this.generateInjection(point.type);
-        node.children.splice(point.position, 0, injection);
-      }
-    });
+        node.statements.splice(point.position, 0, injection);
+      });
   }
-
+  
+  // Injected code runs, so its noise comes from the entropy source: a call to math.random or
+  // os.clock would shift a seeded script's random sequence or slow its loops
   generateInjection(type) {
     switch (type) {
       case 'fakeLoop':
@@ -70,7 +73,7 @@ export class DeadCodeInjector {
       case 'metatableNoise':
         return this.generateMetatableNoise();
       default:
-        return { type: 'comment', value: '-- dead code' };
+        return { type: 'Raw', code: '-- dead code' };
     }
   }
 
@@ -79,8 +82,8 @@ export class DeadCodeInjector {
     const limit = this.entropy.randomInt(10, 100);
     
     return {
-      type: 'block',
-      value: `
+      type: 'Raw',
+      code: `
 for ${varName} = 1, ${limit} do
   if ${varName} == ${limit} then
     break
@@ -108,7 +111,7 @@ end
       code += calc + '\n';
     });
     
-    return { type: 'block', value: code };
+    return { type: 'Raw', code: code };
   }
 
   generateMockFunction() {
@@ -117,8 +120,8 @@ end
     const param2 = this.entropy.generateIdentifier();
     
     return {
-      type: 'function',
-      value: `
+      type: 'Raw',
+      code: `
 local function ${funcName}(${param1}, ${param2})
   local ${this.entropy.generateIdentifier()} = ${param1} + ${param2}
   local ${this.entropy.generateIdentifier()} = ${param1} * ${param2}
@@ -142,8 +145,8 @@ local ${this.entropy.generateIdentifier()} = ${funcName}
     const metatableName = this.entropy.generateIdentifier();
     
     return {
-      type: 'block',
-      value: `
+      type: 'Raw',
+      code: `
 local ${tableName} = {}
 local ${metatableName} = {
   __index = function(t, k)
@@ -167,9 +170,9 @@ local ${this.entropy.generateIdentifier()} = ${tableName}.${this.entropy.generat
     const checkName = this.entropy.generateIdentifier();
     
     return {
-      type: 'block',
-      value: `
-local ${varName} = os.clock() * 1000 % ${this.entropy.randomInt(2, 100)}
+      type: 'Raw',
+      code: `
+local ${varName} = ${this.entropy.randomInt(0, 99)}
 local ${checkName} = function(x)
   if x > ${this.entropy.randomInt(25, 75)} then
     return "high"
@@ -200,7 +203,7 @@ end
         this.entropy.randomInt(1, 100);
       
       const value = this.entropy.random() > 0.5 ?
-        `math.random()` :
+        this.entropy.randomInt(0, 999999) / 1000000 :
         `"${this.entropy.generateIdentifier()}"`;
       
       code += `${tableName}[${key}] = ${value}\n`;
@@ -212,7 +215,7 @@ for k, v in pairs(${tableName}) do
 end
 `;
     
-    return { type: 'block', value: code };
+    return { type: 'Raw', code: code };
   }
 
   generateStringManipulation() {
@@ -232,7 +235,7 @@ end
       code += this.entropy.randomChoice(ops) + '\n';
     }
     
-    return { type: 'block', value: code };
+    return { type: 'Raw', code: code };
   }
 
   generateMetatableNoise() {
@@ -240,13 +243,13 @@ end
     const metaName = this.entropy.generateIdentifier();
     
     return {
-      type: 'block',
-      value: `
+      type: 'Raw',
+      code: `
 local ${objName} = {}
 local ${metaName} = {
-  __add = function(a, b) return math.random(100) end,
+  __add = function(a, b) return ${this.entropy.randomInt(1, 100)} end,
   __sub = function(a, b) return #tostring(a) end,
-  __mul = function(a, b) return os.clock() % 1 end,
+  __mul = function(a, b) return ${this.entropy.randomInt(0, 999) / 1000} end,
   __div = function(a, b) return (a or 0) / (b or 1) end,
   __call = function(self, ...) 
     return table.concat({...}, ",")
@@ -261,6 +264,16 @@ local ${this.entropy.generateIdentifier()} = ${objName}(${this.entropy.randomInt
     };
   }
 
+  generateDeadStatement() {
+    const statements = [
+      `${this.entropy.generateIdentifier()} = nil`,
+      `local ${this.entropy.generateIdentifier()} = ${this.entropy.randomInt(1, 100)}`,
+      `print("${this.generateRandomString()}")`
+    ];
+    
+    return this.entropy.randomChoice(statements);
+  }
+
   generateRandomString() {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
     const length = this.entropy.randomInt(5, 20);
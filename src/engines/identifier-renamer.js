@@ -1,28 +1,92 @@
+const KEYWORDS = [
+  'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'if', 'in',
+  'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while',
+  'continue', 'export'
+];
+
+// Globals and libraries provided by Luau and the Roblox engine
+export const LUAU_GLOBALS = [
+  '_G', '_VERSION', 'assert', 'collectgarbage', 'error', 'gcinfo', 'getfenv', 'getmetatable',
+  'ipairs', 'loadstring', 'newproxy', 'next', 'pairs', 'pcall', 'print', 'rawequal', 'rawget',
+  'rawlen', 'rawset', 'require', 'select', 'setfenv', 'setmetatable', 'tonumber', 'tostring',
+  'type', 'typeof', 'unpack', 'xpcall',
+  'bit32', 'buffer', 'coroutine', 'debug', 'math', 'os', 'string', 'table', 'utf8', 'vector'
+];
+
+export const ROBLOX_GLOBALS = [
+  'game', 'workspace', 'Workspace', 'script', 'plugin', 'shared', 'settings', 'UserSettings',
+  'stats', 'tick', 'time', 'elapsedTime', 'wait', 'delay', 'spawn', 'warn', 'version', 'task',
+  'Enum', 'Instance', 'Axes', 'BrickColor', 'CatalogSearchParams', 'CFrame', 'Color3',
+  'ColorSequence', 'ColorSequenceKeypoint', 'DateTime', 'DockWidgetPluginGuiInfo', 'Faces',
+  'Font', 'NumberRange', 'NumberSequence', 'NumberSequenceKeypoint', 'OverlapParams',
+  'PathWaypoint', 'PhysicalProperties', 'Random', 'Ray', 'RaycastParams', 'Rect', 'Region3',
+  'Region3int16', 'SharedTable', 'TweenInfo', 'UDim', 'UDim2', 'Vector2', 'Vector2int16',
+  'Vector3', 'Vector3int16'
+];
+
 export class IdentifierRenamer {
-  constructor(entropy) {
+  constructor(entropy, options = {}) {
     this.entropy = entropy;
     this.mapping = new Map();
-    this.reserved = new Set(['local', 'function', 'if', 'then', 'else', 'end']);
+    // Locals with these names keep them, e.g. when other code looks them up through debug info
+    this.preserved = new Set(options.preservedNames || []);
+    this.reserved = new Set(['self', ...KEYWORDS, ...LUAU_GLOBALS, ...ROBLOX_GLOBALS]);
   }
 
-  transform(node) {
-    if (node.type === 'identifier' && !this.reserved.has(node.value)) {
-      if (!this.mapping.has(node.value)) {
-        this.mapping.set(node.value, this.generateUniqueName());
-      }
-      node.value = this.mapping.get(node.value);
+  rename(scopes) {
+    // Globals keep their names, so a new local name must never hide one
+    const taken = new Set([...this.reserved, ...scopes.globals.keys()]);
+    for (const binding of scopes.bindings) {
+      taken.add(binding.name);
     }
     
-    if (node.children) {
-      node.children.forEach(child => this.transform(child));
+    for (const binding of scopes.bindings) {
+      // `self` is declared implicitly by method syntax and cannot be renamed
+      if (binding.kind === 'self' || this.preserved.has(binding.name)) continue;
+      
+      const name = this.generateUniqueName(taken);
+      taken.add(name);
+      this.mapping.set(binding, name);
+      
+      this.renameDeclaration(binding, name);
+      binding.references.forEach(reference => {
+        reference.name = name;
+      });
+    }
+  }
+
+  renameDeclaration(binding, name) {
+    const node = binding.declaration;
+    
+    switch (node.type) {
+      case 'Local':
+        node.names[binding.index] = name;
+        break;
+      case 'LocalFunction':
+        if (binding.kind === 'function') {
+          node.name = name;
+        } else {
+          node.params[binding.index] = name;
+        }
+        break;
+      case 'Function':
+      case 'FunctionExpression':
+        node.params[binding.index] = name;
+        break;
+      case 'NumericFor':
+        node.variable = name;
+        break;
+      case 'GenericFor':
+        node.variables[binding.index] = name;
+        break;
     }
   }
 
-  generateUniqueName() {
+  generateUniqueName(taken) {
     let name;
     do {
       name = this.entropy.generateIdentifier();
-    } while (this.mapping.has(name) || this.isCollision(name));
+    } while (taken.has(name) || this.isCollision(name));
     
     return name;
   }
@@ -0,0 +1,49 @@
+import { MathTransforms } from '../utils/math-transforms.js';
+
+const LOOPS = new Set(['While', 'Repeat', 'NumericFor', 'GenericFor']);
+
+export class NumberEncoder {
+  constructor(entropy, options = {}) {
+    this.entropy = entropy;
+    this.transforms = new MathTransforms(entropy);
+    // Constant indices like `t[1]` inside loops run on every iteration, so by default they stay literal
+    this.encodeHotLoops = options.hotLoopNumbers === 'encode';
+    this.hotIndices = new WeakSet();
+  }
+
+  encode(node) {
+    if (LOOPS.has(node.type) && !this.encodeHotLoops) {
+      this.markHotIndices(node);
+    }
+    
+    if (node.type !== 'Number' || this.hotIndices.has(node)) return;
+    
+    const encoded = this.transforms.encodeNumber(node.value);
+    
+    // Anything that would not give back the exact same double keeps its literal
+    if (!Object.is(encoded.value, node.value)) return;
+    
+    node.type = 'Raw';
+    node.code = `(${encoded.code})`;
+    delete node.value;
+  }
+
+  markHotIndices(node) {
+    if (!node || typeof node !== 'object') return;
+    
+    if (Array.isArray(node)) {
+      node.forEach(child => this.markHotIndices(child));
+      return;
+    }
+    
+    if (node.type === 'IndexAccess' && node.index.type === 'Number') {
+      this.hotIndices.add(node.index);
+    }
+    
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc' && value && typeof value === 'object') {
+        this.markHotIndices(value);
+      }
+    }
+  }
+}
\ No newline at end of file
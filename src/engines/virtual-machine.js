@@ -1,138 +1,826 @@
+import { BytecodeCompiler, CompileError, INSTRUCTIONS } from './bytecode-compiler.js';
+import { LuauParser } from '../parsers/luau-parser.js';
+
+// Lua for each instruction; a, b and c are its operands and the loop in generateInterpreter
+// provides R, K, P, U, G, S, args, params, pc, top and the constant decryption
+const HANDLERS = {
+  MOVE: 'R[a] = R[b]',
+  LOADK: `local v = K[b]
+if type(v) == "table" then
+  v = constant(v, b, constantKey)
+  K[b] = v
+end
+R[a] = v`,
+  LOADNIL: 'R[a] = nil',
+  LOADBOOL: 'R[a] = b ~= 0',
+  GETEXT: 'R[a] = G[b]()',
+  SETEXT: 'S[b](R[a])',
+  GETUPVAL: 'R[a] = U[b][1]',
+  SETUPVAL: 'U[b][1] = R[a]',
+  NEWBOX: 'R[a] = {R[b]}',
+  GETBOX: 'R[a] = R[b][1]',
+  SETBOX: 'R[a][1] = R[b]',
+  GETTABLE: 'R[a] = R[b][R[c]]',
+  SETTABLE: 'R[a][R[b]] = R[c]',
+  NEWTABLE: 'R[a] = {}',
+  SETLIST: `local t = R[a]
+local n = b == 0 and top - a or b
+if c == 1 and next(t) == nil then
+  R[a] = {unpack(R, a + 1, a + n)}
+else
+  for i = 1, n do t[c + i - 1] = R[a + i] end
+end`,
+  SELF: `local o = R[b]
+R[a + 1] = o
+R[a] = o[R[c]]`,
+  ADD: 'R[a] = R[b] + R[c]',
+  SUB: 'R[a] = R[b] - R[c]',
+  MUL: 'R[a] = R[b] * R[c]',
+  DIV: 'R[a] = R[b] / R[c]',
+  IDIV: 'R[a] = R[b] // R[c]',
+  MOD: 'R[a] = R[b] % R[c]',
+  POW: 'R[a] = R[b] ^ R[c]',
+  CONCAT: 'R[a] = R[b] .. R[c]',
+  EQ: 'R[a] = R[b] == R[c]',
+  NE: 'R[a] = R[b] ~= R[c]',
+  LT: 'R[a] = R[b] < R[c]',
+  LE: 'R[a] = R[b] <= R[c]',
+  UNM: 'R[a] = -R[b]',
+  NOT: 'R[a] = not R[b]',
+  LEN: 'R[a] = #R[b]',
+  TOSTRING: 'R[a] = tostring(R[b])',
+  JMP: 'pc = a',
+  TEST: 'if R[a] then pc = b end',
+  TESTNOT: 'if not R[a] then pc = b end',
+  CALL: `local last = b == 0 and top or a + b - 1
+if c == 1 then
+  R[a](unpack(R, a + 1, last))
+elseif c == 2 then
+  R[a] = R[a](unpack(R, a + 1, last))
+else
+  local results = pack(R[a](unpack(R, a + 1, last)))
+  local n = c == 0 and results.n or c - 1
+  for i = 1, n do R[a + i - 1] = results[i] end
+  if c == 0 then top = a + n - 1 end
+end`,
+  RETURN: `if b == 0 then return unpack(R, a, top) end
+return unpack(R, a, a + b - 2)`,
+  VARARG: `local n = b == 0 and args.n - params or b - 1
+if n < 0 then n = 0 end
+for i = 1, n do R[a + i - 1] = args[params + i] end
+if b == 0 then top = a + n - 1 end`,
+  CLOSURE: `local p = P[b]
+local d = p[4]
+local u = {}
+for i = 1, #d, 2 do
+  if d[i] == 1 then u[(i + 1) / 2] = R[d[i + 1]] else u[(i + 1) / 2] = U[d[i + 1]] end
+end
+R[a] = closure(p, u, G, S)`,
+  FORPREP: `local init, limit, step = R[a], R[a + 1], R[a + 2]
+if type(init) ~= "number" or type(limit) ~= "number" or type(step) ~= "number" then
+  error("invalid 'for' value (number expected)")
+end
+if not (step > 0 and init <= limit or step <= 0 and init >= limit) then pc = b end`,
+  FORLOOP: `local step = R[a + 2]
+local i = R[a] + step
+R[a] = i
+if step > 0 and i <= R[a + 1] or step <= 0 and i >= R[a + 1] then pc = b end`,
+  TFORPREP: `local f = R[a]
+if type(f) == "table" then
+  local mt = getmetatable(f)
+  local iterate = type(mt) == "table" and mt.__iter
+  if iterate then
+    R[a], R[a + 1], R[a + 2] = iterate(f)
+  elseif not (type(mt) == "table" and mt.__call) then
+    R[a], R[a + 1], R[a + 2] = next, f, nil
+  end
+end`,
+  TFORCALL: `local results = pack(R[a](R[a + 1], R[a + 2]))
+for i = 1, c do R[a + 2 + i] = results[i] end`,
+  TFORLOOP: `local v = R[a + 3]
+if v ~= nil then
+  R[a + 2] = v
+  pc = b
+end`
+};
+
+// Operands that name registers, placed by the prototype's frame layout
+const REGISTER_OPERANDS = {
+  MOVE: 'ab', LOADK: 'a', LOADNIL: 'a', LOADBOOL: 'a', GETEXT: 'a', SETEXT: 'a', GETUPVAL: 'a', SETUPVAL: 'a',
+  NEWBOX: 'ab', GETBOX: 'ab', SETBOX: 'ab', GETTABLE: 'abc', SETTABLE: 'abc', NEWTABLE: 'a', SETLIST: 'a', SELF: 'abc',
+  ADD: 'abc', SUB: 'abc', MUL: 'abc', DIV: 'abc', IDIV: 'abc', MOD: 'abc', POW: 'abc', CONCAT: 'abc',
+  EQ: 'abc', NE: 'abc', LT: 'abc', LE: 'abc', UNM: 'ab', NOT: 'ab', LEN: 'ab', TOSTRING: 'ab',
+  JMP: '', TEST: 'a', TESTNOT: 'a', CALL: 'a', RETURN: 'a', VARARG: 'a', CLOSURE: 'a',
+  FORPREP: 'a', FORLOOP: 'a', TFORPREP: 'a', TFORCALL: 'a', TFORLOOP: 'a'
+};
+// The last register of the run each instruction uses from A on, or null when the run ends at the
+// runtime top; a run has to stay together and in order in any frame layout
+const REGISTER_RUNS = {
+  SETLIST: ({ a, b }) => b === 0 ? null : a + b,
+  SELF: ({ a }) => a + 1,
+  CALL: ({ a, b, c }) => b === 0 || c === 0 ? null : Math.max(a + b - 1, a + c - 2),
+  RETURN: ({ a, b }) => b === 0 ? null : a + b - 2,
+  VARARG: ({ a, b }) => b === 0 ? null : a + b - 2,
+  FORPREP: ({ a }) => a + 2,
+  FORLOOP: ({ a }) => a + 2,
+  TFORPREP: ({ a }) => a + 2,
+  TFORCALL: ({ a, c }) => a + 2 + c,
+  TFORLOOP: ({ a }) => a + 3
+};
+// The operand holding where each jumping instruction may go
+const JUMP_TARGETS = { JMP: 'a', TEST: 'b', TESTNOT: 'b', FORPREP: 'b', FORLOOP: 'b', TFORLOOP: 'b' };
+// Instructions that move pc or leave the function, so nothing can be fused after them
+const BRANCHES = new Set(['RETURN', ...Object.keys(JUMP_TARGETS)]);
+// Decoded operand slots, as the handlers name them
+const SLOTS = ['a', 'b', 'c'];
+const MAX_SUPER_OPERATORS = 8;
+const MAX_REGISTER_SHIFT = 15;
+const MAX_REGISTER_PADDING = 2;
+// Two fields share a number when packed, and doubles are exact up to 2^53
+const MAX_PACKED_WIDTH = 24;
+const KEY_MODULUS = 2 ** 32;
+// Steps in the self-check probe beyond one of each kind
+const PROBE_EXTRA_STEPS = 4;
+
 export class VirtualMachine {
-  constructor(entropy) {
+  constructor(entropy, options = {}) {
     this.entropy = entropy;
-    this.opcodes = this.generateOpcodes();
-    this.registers = this.generateRegisters();
+    this.compiler = new BytecodeCompiler();
+    this.parser = new LuauParser();
+    this.randomizeOpcodes = options.opcodeRandomization === true;
+    this.randomizeStack = options.stackRandomization === true;
+    this.isa = this.generateInstructionSet();
+    this.cipher = this.generateCipher();
+    this.interpreterName = this.entropy.generateIdentifier();
+    
+    // Compiled functions, numbered once the set is shuffled; host glue is never virtualized
+    this.units = [];
+    this.generated = new WeakSet();
+    this.frames = new WeakMap();
   }
-
-  generateOpcodes() {
-    // Non-standard opcode mapping
-    const baseOpcodes = {
-      LOAD: 0x1A3F,
-      STORE: 0x2B4E,
-      CALL: 0x3C5D,
-      JUMP: 0x4D6C,
-      RETURN: 0x5E7B,
-      COMPARE: 0x6F8A,
-      MATH: 0x7A99,
-      TABLE: 0x8BA8
+  
+  // Without opcodeRandomization every build shares one plain encoding. With it, opcode values,
+  // the order of the fields in an instruction and of each instruction's operands differ per
+  // build, and prepare() adds the field width and super-operators once the code is known
+  generateInstructionSet() {
+    if (!this.randomizeOpcodes) {
+      return {
+        opcodes: Object.fromEntries(INSTRUCTIONS.map((name, i) => [name, i + 1])),
+        operands: Object.fromEntries(INSTRUCTIONS.map(name => [name, [0, 1, 2]])),
+        layout: ['op', 0, 1, 2],
+        packed: false,
+        width: null,
+        fused: new Map()
+      };
+    }
+    
+    const isa = {
+      opcodes: {},
+      operands: {},
+      layout: this.entropy.secureShuffle(['op', 0, 1, 2]),
+      packed: this.entropy.secureInt(0, 1) === 1,
+      width: null,
+      fused: new Map()
+    };
+    
+    INSTRUCTIONS.forEach(name => {
+      isa.opcodes[name] = this.generateOpcode(isa.opcodes);
+      isa.operands[name] = this.entropy.secureShuffle([0, 1, 2]);
+    });
+    
+    return isa;
+  }
+  
+  // Key schedule of this build's bytecode cipher
+  generateCipher() {
+    return {
+      multiplier: this.entropy.secureInt(0x1000, 0xFFFF) | 1,
+      increment: this.entropy.secureInt(0, KEY_MODULUS - 1),
+      stride: this.entropy.secureInt(0x10000, 0xFFFFF) | 1
     };
+  }
+  
+  // Distinct random opcode values, so no two builds dispatch alike
+  generateOpcode(opcodes) {
+    const used = new Set(Object.values(opcodes));
+    let value;
+    do {
+      value = this.entropy.secureInt(0x1000, 0xFFFF);
+    } while (used.has(value));
+    
+    return value;
+  }
+  
+  // Replaces the body of a function with a call into the interpreter. Functions the compiler
+  // cannot handle are left as they are
+  wrap(node) {
+    if (!['Function', 'LocalFunction', 'FunctionExpression'].includes(node.type) || this.generated.has(node)) return;
+    
+    let compiled;
+    try {
+      compiled = this.compiler.compile(node);
+    } catch (error) {
+      if (error instanceof CompileError) return;
+      throw error;
+    }
+    
+    const slot = { type: 'Number', value: 0 };
+    this.units.push({ proto: compiled.proto, slot });
+    
+    // Parameters are passed on as they are, `self` first, so extra arguments are dropped as before
+    const params = node.params.map(param => param === '...' ? { type: 'Vararg' } : { type: 'Variable', name: param });
+    if (node.method) {
+      params.unshift({ type: 'Variable', name: 'self' });
+    }
     
-    // Randomize opcode values
-    const shuffled = {};
-    const values = Object.values(baseOpcodes);
-    this.entropy.random() > 0.5 && values.reverse();
+    node.body = {
+      type: 'Block',
+      statements: [{
+        type: 'Return',
+        expressions: [{
+          type: 'Call',
+          function: { type: 'Variable', name: this.interpreterName },
+          arguments: [slot, ...this.generateBindings(compiled.externals), ...params]
+        }]
+      }]
+    };
+  }
+  
+  // Getters and setters for the names the function uses from outside, created where the
+  // function is, so they see exactly the variables the original body did
+  generateBindings(externals) {
+    const names = new Set(externals.map(external => external.name));
+    let valueName;
+    do {
+      valueName = this.entropy.generateIdentifier();
+    } while (names.has(valueName));
     
-    Object.keys(baseOpcodes).forEach((key, i) => {
-      shuffled[key] = values[i] ^ this.entropy.randomInt(0x1000, 0xFFFF);
+    const getters = [];
+    const setters = [];
+    externals.forEach((external, i) => {
+      const variable = { type: 'Variable', name: external.name };
+      getters.push({ type: 'ArrayField', value: this.glueFunction([], { type: 'Return', expressions: [variable] }) });
+      
+      if (external.written) {
+        setters.push({
+          type: 'IndexField',
+          key: { type: 'Number', value: i + 1 },
+          value: this.glueFunction([valueName], {
+            type: 'Assignment',
+            targets: [{ type: 'Variable', name: external.name }],
+            values: [{ type: 'Variable', name: valueName }]
+          })
+        });
+      }
     });
     
-    return shuffled;
+    return [{ type: 'Table', fields: getters }, { type: 'Table', fields: setters }];
   }
 
-  generateRegisters() {
-    // Non-linear register naming
-    const regs = [];
-    for (let i = 0; i < 16; i++) {
-      regs.push(this.entropy.generateIdentifier());
+  glueFunction(params, statement) {
+    const node = {
+      type: 'FunctionExpression',
+      generics: [],
+      params,
+      paramTypes: params.map(() => null),
+      returnType: null,
+      body: { type: 'Block', statements: [statement] }
+    };
+    this.generated.add(node);
+    return node;
+  }
+  
+  // Declares the interpreter at the top of the chunk; call after every function was visited
+  emit(chunk) {
+    if (this.units.length === 0) return;
+    
+    const units = this.entropy.secureShuffle([...this.units]);
+    units.forEach((unit, i) => {
+      unit.slot.value = i + 1;
+    });
+    
+    const protos = units.map(unit => unit.proto);
+    const probe = this.generateProbe();
+    this.prepare([...protos, probe.proto]);
+    
+    chunk.statements.unshift({
+      type: 'Local',
+      names: [this.interpreterName],
+      values: [{ type: 'Raw', code: this.generateInterpreter(protos, probe) }]
+    });
+  }
+  
+  // A function the interpreter runs through its own handlers before anything else, and the result
+  // it must give. Every other key is offset by that result, so handlers edited to compute
+  // something else garble the program instead of running it. It sticks to integer arithmetic,
+  // which Luau doubles and the JS reference agree on exactly
+  generateProbe() {
+    const modulus = KEY_MODULUS;
+    let value = this.entropy.secureInt(1, 0xFFFF);
+    const parts = [];
+    const lines = [`local value, parts = ${value}, {}`];
+    
+    const steps = {
+      affine: (k, c) => {
+        lines.push(`value = (value * ${k} + ${c}) % ${modulus}`);
+        value = (value * k + c) % modulus;
+      },
+      branch: (k) => {
+        lines.push(`if value % 2 == 0 then value = value // 2 + ${k} else value = (value * 3 + 1) % ${modulus} end`);
+        value = value % 2 === 0 ? Math.floor(value / 2) + k : (value * 3 + 1) % modulus;
+      },
+      loop: (k, c) => {
+        const count = 2 + c % 3;
+        lines.push(`for i = 1, ${count} do value = (value + i * ${k}) % ${modulus} end`);
+        for (let i = 1; i <= count; i++) value = (value + i * k) % modulus;
+      },
+      table: (k) => {
+        lines.push(`parts[#parts + 1] = value % ${k}`, `value = (value + parts[#parts] * #parts) % ${modulus}`);
+        parts.push(value % k);
+        value = (value + parts[parts.length - 1] * parts.length) % modulus;
+      },
+      string: (k) => {
+        const suffix = k.toString(36);
+        lines.push(`value = (value + #(value .. "${suffix}") * ${k}) % ${modulus}`);
+        value = (value + (String(value) + suffix).length * k) % modulus;
+      },
+      closure: (k, c, i) => {
+        lines.push(`local function mix${i}(n) return (n * ${k} + #parts) % ${modulus} end`, `value = mix${i}(value)`);
+        value = (value * k + parts.length) % modulus;
+      },
+      method: (k, c, i) => {
+        lines.push(`local box${i} = { v = ${c} }`, `function box${i}:add(n) return (n + self.v) % ${modulus} end`, `value = box${i}:add(value)`);
+        value = (value + c) % modulus;
+      }
+    };
+    
+    const kinds = Object.keys(steps);
+    for (let i = 0; i < PROBE_EXTRA_STEPS; i++) {
+      kinds.push(kinds[this.entropy.secureInt(0, kinds.length - 1)]);
+    }
+    this.entropy.secureShuffle(kinds).forEach((kind, i) => {
+      steps[kind](this.entropy.secureInt(2, 0xFFFF), this.entropy.secureInt(0, 0xFFFF), i);
+    });
+    lines.push('return value');
+    
+    const body = this.parser.parse(lines.join('\n'));
+    const { proto, externals } = this.compiler.compile({ type: 'FunctionExpression', generics: [], params: [], paramTypes: [], returnType: null, body });
+    if (externals.length > 0) {
+      throw new Error('The self-check probe must not use globals');
     }
-    return regs;
+    
+    return { proto, value };
   }
-
-  wrap(node) {
-    if (node.type === 'function' || node.type === 'block') {
-      const vmCode = this.generateVMCode(node);
-      node.value = vmCode;
+  
+  // Settles what depends on the compiled code: frame layouts, super-operators and the width of
+  // packed fields
+  prepare(protos) {
+    const all = [];
+    const collect = proto => {
+      all.push(proto);
+      proto.protos.forEach(collect);
+    };
+    protos.forEach(collect);
+    
+    if (this.randomizeStack) {
+      all.forEach(proto => this.frames.set(proto, this.generateFrame(proto)));
+    }
+    
+    if (this.randomizeOpcodes) {
+      this.selectSuperOperators(all);
+    }
+    
+    if (this.isa.packed) {
+      const largest = Math.max(0xFFFF, ...all.flatMap(proto => this.lowerProto(proto).flatMap(instruction => [instruction.a, instruction.b, instruction.c])));
+      const width = largest.toString(2).length + this.entropy.secureInt(0, 4);
+      this.isa.width = width <= MAX_PACKED_WIDTH ? width : null;
     }
   }
-
-  generateVMCode(node) {
-    const vmName = this.entropy.generateIdentifier();
-    const memName = this.entropy.generateIdentifier();
-    const ipName = this.entropy.generateIdentifier();
+  
+  // Where each register of a prototype lives. Runs of registers stay together, and everything from
+  // the first run that ends at the runtime top stays last and in order, since results may land
+  // past the registers the code names. The remaining runs and single registers are shuffled, with
+  // unused registers before and between them, so the layout and size of a frame differ per build
+  generateFrame(proto) {
+    let size = proto.params;
+    let tail = Infinity;
+    const joined = [];
+    const join = (first, last) => {
+      for (let register = first; register < last; register++) joined[register] = true;
+    };
+    join(0, proto.params - 1);
     
-    // Convert node to VM instructions
-    const instructions = this.compileToVM(node);
-    const encoded = this.encodeInstructions(instructions);
+    proto.code.forEach(instruction => {
+      for (const operand of REGISTER_OPERANDS[instruction.op]) {
+        size = Math.max(size, instruction[operand] + 1);
+      }
+      
+      const run = REGISTER_RUNS[instruction.op];
+      if (!run) return;
+      const last = run(instruction);
+      if (last === null) {
+        tail = Math.min(tail, instruction.a);
+      } else {
+        size = Math.max(size, last + 1);
+        join(instruction.a, last);
+      }
+    });
     
-    return `
-local ${vmName} = {
-  ${memName} = {},
-  ${ipName} = 1,
-  ${this.registers.map((r, i) => `${r} = nil`).join(',\n  ')}
-}
+    tail = Math.min(tail, size);
+    while (tail > 0 && joined[tail - 1]) tail--;
+    
+    const units = [];
+    for (let register = 0; register < tail; register++) {
+      if (register === 0 || !joined[register - 1]) units.push([]);
+      units[units.length - 1].push(register);
+    }
+    
+    const frame = [];
+    let position = this.entropy.secureInt(0, MAX_REGISTER_SHIFT);
+    this.entropy.secureShuffle(units).forEach(unit => {
+      unit.forEach(register => {
+        frame[register] = position++;
+      });
+      position += this.entropy.secureInt(0, MAX_REGISTER_PADDING);
+    });
+    for (let register = tail; register < size; register++) {
+      frame[register] = position + register - tail;
+    }
+    
+    return frame;
+  }
 
-local function ${vmName}_execute()
-  while ${vmName}.${ipName} <= #${vmName}.${memName} do
-    local instr = ${vmName}.${memName}[${vmName}.${ipName}]
-    local op = bit32.extract(instr, 0, 16)
-    local arg1 = bit32.extract(instr, 16, 8)
-    local arg2 = bit32.extract(instr, 24, 8)
+  placeRegister(proto, register) {
+    const frame = this.frames.get(proto);
+    return frame ? frame[register] : register;
+  }
+  
+  // Pairs of instructions that often follow each other get one handler that runs both. The
+  // second instruction keeps its own opcode, so jumping straight to it still works
+  selectSuperOperators(protos) {
+    const counts = new Map();
+    protos.forEach(proto => {
+      proto.code.forEach((instruction, i) => {
+        const next = proto.code[i + 1];
+        if (!next || BRANCHES.has(instruction.op)) return;
+        
+        const key = `${instruction.op}_${next.op}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
     
-    ${this.generateDispatchLogic()}
+    const common = [...counts].filter(([, count]) => count > 1).sort((x, y) => y[1] - x[1]).slice(0, MAX_SUPER_OPERATORS);
+    const chosen = this.entropy.secureShuffle(common.map(([key]) => key)).slice(0, this.entropy.secureInt(0, common.length));
     
-    ${vmName}.${ipName} = ${vmName}.${ipName} + 1
-  end
-end
+    chosen.forEach(key => {
+      const [first, second] = key.split('_');
+      this.isa.opcodes[key] = this.generateOpcode(this.isa.opcodes);
+      this.isa.operands[key] = this.isa.operands[first];
+      this.isa.fused.set(key, [first, second]);
+    });
+  }
+  
+  // The instructions as they are encoded: super-operators in place and registers in their frame
+  // positions
+  lowerProto(proto) {
+    return proto.code.map((instruction, i) => {
+      const next = proto.code[i + 1];
+      const fused = next && `${instruction.op}_${next.op}`;
+      const lowered = { op: this.isa.fused.has(fused) ? fused : instruction.op, a: instruction.a, b: instruction.b, c: instruction.c };
+      
+      for (const operand of REGISTER_OPERANDS[instruction.op]) {
+        lowered[operand] = this.placeRegister(proto, instruction[operand]);
+      }
+      return lowered;
+    });
+  }
 
--- Load encoded program
-${vmName}.${memName} = {${encoded.join(',')}}
+  jumpTarget(instruction) {
+    const operand = JUMP_TARGETS[instruction.op];
+    return operand ? instruction[operand] : null;
+  }
+  
+  // An instruction's plain fields, in the order the layout stores them
+  encodeFields(instruction) {
+    const slots = [];
+    this.isa.operands[instruction.op].forEach((slot, i) => {
+      slots[slot] = instruction[SLOTS[i]];
+    });
+    
+    return this.isa.layout.map(field => field === 'op' ? this.isa.opcodes[instruction.op] : slots[field]);
+  }
 
--- Execute
-${vmName}_execute()
-`;
+  decodeFields(fields) {
+    const slots = [];
+    let opcode;
+    this.isa.layout.forEach((field, i) => {
+      if (field === 'op') {
+        opcode = fields[i];
+      } else {
+        slots[field] = fields[i];
+      }
+    });
+    
+    const op = Object.keys(this.isa.opcodes).find(name => this.isa.opcodes[name] === opcode);
+    const [a, b, c] = this.isa.operands[op].map(slot => slots[slot]);
+    return { op, a, b, c };
   }
 
-  compileToVM(node) {
-    // Simplified compilation
-    const instructions = [];
+  stepKey(key) {
+    return (key * this.cipher.multiplier + this.cipher.increment) % KEY_MODULUS;
+  }
+  
+  // The low bits of the key cycle quickly, so fields are masked with its halves swapped
+  keyMask(key) {
+    return (key % 65536) * 65536 + Math.floor(key / 65536);
+  }
+  
+  // Every field is masked with the running key, which then absorbs the ciphertext, so an
+  // instruction only decrypts with the key left by the one before it. A jump adds its fixup to
+  // reach the key its target was encrypted with, whatever path led there
+  encryptProto(proto) {
+    const modulus = 2 ** (this.isa.width || 32);
+    const codeKey = this.entropy.secureInt(0, KEY_MODULUS - 1);
+    const keys = [];
+    const code = [];
     
-    if (node.type === 'function') {
-      instructions.push({ op: 'CALL', args: [0, 0] });
-    }
+    let key = codeKey;
+    this.lowerProto(proto).forEach(instruction => {
+      keys.push(key);
+      const fields = this.encodeFields(instruction).map(field => {
+        key = this.stepKey(key);
+        const cipher = (field + this.keyMask(key)) % modulus;
+        key = (key + cipher) % KEY_MODULUS;
+        return cipher;
+      });
+      
+      code.push(...(this.isa.width ? [fields[0] * modulus + fields[1], fields[2] * modulus + fields[3]] : fields));
+    });
+    keys.push(key);
+    
+    // Instructions that never jump get filler, so the table does not point out the branches
+    const fixups = proto.code.map((instruction, i) => {
+      const target = this.jumpTarget(instruction);
+      if (target === null) return this.entropy.secureInt(0, KEY_MODULUS - 1);
+      return (keys[target] - keys[i + 1] + KEY_MODULUS) % KEY_MODULUS;
+    });
     
-    return instructions;
+    const constantKey = this.entropy.secureInt(0, KEY_MODULUS - 1);
+    const constants = proto.constants.map((value, i) => this.encryptConstant(value, i + 1, constantKey));
+    
+    return { proto, code, fixups, codeKey, constants, constantKey, protos: proto.protos.map(child => this.encryptProto(child)) };
   }
-
-  encodeInstructions(instructions) {
-    return instructions.map(instr => {
-      const op = this.opcodes[instr.op] || 0;
-      const arg1 = instr.args[0] || 0;
-      const arg2 = instr.args[1] || 0;
-      return (op & 0xFFFF) | ((arg1 & 0xFF) << 16) | ((arg2 & 0xFF) << 24);
+  
+  // A constant is a type tag and its bytes: 0 for a string, 1 for a number as text, 2 for NaN
+  encryptConstant(value, index, constantKey) {
+    let tag = 0;
+    let text = value;
+    if (typeof value === 'number') {
+      tag = Number.isNaN(value) ? 2 : 1;
+      text = Number.isNaN(value) ? '' : Number.isFinite(value) ? String(value) : `${value < 0 ? '-' : ''}1e999`;
+    }
+    
+    let key = this.constantKeyOf(constantKey, index);
+    // Strings are byte strings and number text is ASCII, so each char is one byte
+    return [tag, ...Array.from(text, char => char.charCodeAt(0) & 0xFF)].map(byte => {
+      key = this.stepKey(key);
+      return (byte + Math.floor(key / 65536)) % 256;
     });
   }
 
-  generateDispatchLogic() {
-    // Generate non-linear dispatch
-    let logic = 'if ';
+  constantKeyOf(constantKey, index) {
+    return (constantKey + index * this.cipher.stride) % KEY_MODULUS;
+  }
+  
+  // Reference for the decryption in the generated Lua, also returning the key at each instruction
+  decryptProto(encrypted) {
+    const modulus = 2 ** (this.isa.width || 32);
+    const size = this.isa.width ? 2 : 4;
+    const instructions = [];
+    const keys = [];
+    
+    let key = encrypted.codeKey;
+    for (let base = 0; base < encrypted.code.length; base += size) {
+      keys.push(key);
+      let fields = encrypted.code.slice(base, base + size);
+      if (this.isa.width) {
+        fields = fields.flatMap(word => [Math.floor(word / modulus), word % modulus]);
+      }
+      
+      instructions.push(this.decodeFields(fields.map(cipher => {
+        key = this.stepKey(key);
+        const field = ((cipher - this.keyMask(key)) % modulus + modulus) % modulus;
+        key = (key + cipher) % KEY_MODULUS;
+        return field;
+      })));
+    }
+    keys.push(key);
     
-    Object.entries(this.opcodes).forEach(([name, value], i) => {
-      const condition = i === 0 ? 'op == ' : 'elseif op == ';
-      const action = this.generateOpcodeAction(name);
-      logic += `${condition}${value} then ${action}\n`;
+    const constants = encrypted.constants.map((data, i) => {
+      let constantKey = this.constantKeyOf(encrypted.constantKey, i + 1);
+      const bytes = data.map(byte => {
+        constantKey = this.stepKey(constantKey);
+        return ((byte - Math.floor(constantKey / 65536)) % 256 + 256) % 256;
+      });
+      
+      const text = String.fromCharCode(...bytes.slice(1));
+      return bytes[0] === 0 ? text : bytes[0] === 1 ? Number(text) : NaN;
     });
     
-    logic += 'end';
-    return logic;
+    return { instructions, constants, keys };
   }
-
-  generateOpcodeAction(op) {
-    const actions = {
-      LOAD: `${this.randomRegister()} = arg1`,
-      STORE: `${this.randomMemory()} = ${this.randomRegister()}`,
-      CALL: `local result = ${this.randomRegister()} + arg1`,
-      JUMP: `if ${this.randomRegister()} then ip = arg1 end`
+  
+  // Hash of the bytecode: code, fixups and constants. The stored seeds are offset by it, so
+  // changing a single word garbles every key
+  bytecodeHash(encrypted) {
+    let hash = 0;
+    const add = value => {
+      hash = (hash * 31 + value) % KEY_MODULUS;
+    };
+    const visit = unit => {
+      unit.code.forEach(add);
+      unit.fixups.forEach(add);
+      unit.constants.forEach(data => data.forEach(add));
+      unit.protos.forEach(visit);
     };
+    encrypted.forEach(visit);
     
-    return actions[op] || '-- unknown op';
+    return hash;
   }
-
-  randomRegister() {
-    return this.registers[this.entropy.randomInt(0, this.registers.length - 1)];
+  
+  // A prototype is {code, constants, prototypes, upvalue descriptors, parameter count, first
+  // parameter register, jump fixups, code seed, constant seed}; upvalues captured from the
+  // enclosing frame name its registers. Seeds are stored less the offset the interpreter adds back
+  serializeProto(encrypted, offset, parent = null) {
+    const { proto } = encrypted;
+    const upvalues = proto.upvalues.flatMap(([fromLocal, index]) => [fromLocal, fromLocal ? this.placeRegister(parent, index) : index]);
+    const seed = key => (key - offset + KEY_MODULUS) % KEY_MODULUS;
+    
+    return `{{${encrypted.code.join(',')}}, {${encrypted.constants.map(data => `{${data.join(',')}}`).join(',')}}, {${encrypted.protos.map(child => this.serializeProto(child, offset, proto)).join(', ')}}, {${upvalues.join(',')}}, ${proto.params}, ${proto.params > 0 ? this.placeRegister(proto, 0) : 0}, {${encrypted.fixups.join(',')}}, ${seed(encrypted.codeKey)}, ${seed(encrypted.constantKey)}}`;
+  }
+  
+  // The probe runs with keys offset by the bytecode hash alone, everything else also by the
+  // probe's result
+  generateInterpreter(protos, probe) {
+    const names = Object.keys(this.isa.opcodes).sort((x, y) => this.isa.opcodes[x] - this.isa.opcodes[y]);
+    const encrypted = protos.map(proto => this.encryptProto(proto));
+    const encryptedProbe = this.encryptProto(probe.proto);
+    const bytecodeHash = this.bytecodeHash([...encrypted, encryptedProbe]);
+    const offset = (bytecodeHash + probe.value) % KEY_MODULUS;
+    const { multiplier, increment } = this.cipher;
+    
+    return `
+(function()
+  local pack = table.pack
+  local unpack = table.unpack
+  local char, concat = string.char, table.concat
+  local type, tostring, getmetatable, next, error, tonumber = type, tostring, getmetatable, next, error, tonumber
+  local units = {
+${encrypted.map(unit => `    ${this.serializeProto(unit, offset)}`).join(',\n')}
+  }
+  local probe = ${this.serializeProto(encryptedProbe, bytecodeHash)}
+  local bytecodeHash, selfCheck = 0, 0
+  local function hash(list)
+    for i = 1, #list do bytecodeHash = (bytecodeHash * 31 + list[i]) % ${KEY_MODULUS} end
+  end
+  local function visit(proto)
+    hash(proto[1])
+    hash(proto[7])
+    for _, data in ipairs(proto[2]) do hash(data) end
+    for _, child in ipairs(proto[3]) do visit(child) end
+  end
+  for _, unit in ipairs(units) do visit(unit) end
+  visit(probe)
+  local function constant(data, index, key)
+    key = (key + index * ${this.cipher.stride}) % ${KEY_MODULUS}
+    local tag
+    local chars = {}
+    for i = 1, #data do
+      key = (key * ${multiplier} + ${increment}) % ${KEY_MODULUS}
+      local byte = (data[i] - key // 65536) % 256
+      if i == 1 then tag = byte else chars[i - 1] = char(byte) end
+    end
+    if tag == 0 then return concat(chars) end
+    if tag == 1 then return tonumber(concat(chars)) end
+    return 0 / 0
+  end
+  local execute
+  local function closure(proto, U, G, S)
+    return function(...)
+      return execute(proto, U, G, S, pack(...))
+    end
+  end
+  execute = function(proto, U, G, S, args)
+    local code, K, P, params, first, fixups = proto[1], proto[2], proto[3], proto[5], proto[6], proto[7]
+    local key = (proto[8] + bytecodeHash + selfCheck) % ${KEY_MODULUS}
+    local constantKey = (proto[9] + bytecodeHash + selfCheck) % ${KEY_MODULUS}
+    local R = {}
+    for i = 1, params do R[first + i - 1] = args[i] end
+    local pc, top = 0, -1
+    while true do
+      local current = pc
+${indent(this.generateDecode(true), 6)}
+      pc = pc + 1
+${indent(this.generateDispatch(names), 6)}
+      if pc ~= current + 1 then key = (key + fixups[current + 1]) % ${KEY_MODULUS} end
+    end
+  end
+  selfCheck = execute(probe, {}, {}, {}, pack())
+  return function(slot, G, S, ...)
+    return execute(units[slot], {}, G, S, pack(...))
+  end
+end)()
+`.trim();
+  }
+  
+  // Reads and decrypts the instruction at pc into op, a, b and c, in the slots the layout puts
+  // them, leaving the key ready for the next instruction
+  generateDecode(declare) {
+    const local = declare ? 'local ' : '';
+    const modulus = 2 ** (this.isa.width || 32);
+    const lines = [];
+    
+    if (this.isa.width) {
+      lines.push(
+        `${local}base = pc * 2`,
+        `${local}high, low = code[base + 1], code[base + 2]`,
+        `${local}f1, f2, f3, f4 = high // ${modulus}, high % ${modulus}, low // ${modulus}, low % ${modulus}`
+      );
+    } else {
+      lines.push(
+        `${local}base = pc * 4`,
+        `${local}f1, f2, f3, f4 = code[base + 1], code[base + 2], code[base + 3], code[base + 4]`
+      );
+    }
+    
+    this.isa.layout.forEach((field, i) => {
+      const name = field === 'op' ? 'op' : SLOTS[field];
+      lines.push(
+        `key = (key * ${this.cipher.multiplier} + ${this.cipher.increment}) % ${KEY_MODULUS}`,
+        `${local}${name} = (f${i + 1} - ((key % 65536) * 65536 + key // 65536)) % ${modulus}`,
+        `key = (key + f${i + 1}) % ${KEY_MODULUS}`
+      );
+    });
+    
+    return lines.join('\n');
+  }
+  
+  // Binary search over the opcode values instead of one long if-chain; a randomized build also
+  // splits off-centre and orders the branches at random
+  generateDispatch(names) {
+    if (names.length === 1) {
+      return this.generateHandler(names[0]);
+    }
+    
+    let middle = Math.floor(names.length / 2);
+    if (this.randomizeOpcodes && names.length > 3) {
+      middle = this.entropy.secureInt(Math.ceil(names.length / 4), Math.floor(names.length * 3 / 4));
+    }
+    
+    const pivot = this.isa.opcodes[names[middle]];
+    const low = indent(this.generateDispatch(names.slice(0, middle)));
+    const high = indent(this.generateDispatch(names.slice(middle)));
+    
+    if (this.randomizeOpcodes && this.entropy.secureInt(0, 1) === 1) {
+      return `if op >= ${pivot} then
+${high}
+else
+${low}
+end`;
+    }
+    
+    return `if op < ${pivot} then
+${low}
+else
+${high}
+end`;
   }
 
-  randomMemory() {
-    return `mem[${this.entropy.randomInt(0, 255)}]`;
+  generateHandler(name) {
+    const fused = this.isa.fused.get(name);
+    if (!fused) {
+      return this.reorderOperands(name) + HANDLERS[name];
+    }
+    
+    const [first, second] = fused;
+    return `do
+${indent(this.reorderOperands(first) + HANDLERS[first])}
+end
+current = pc
+${this.generateDecode(false)}
+pc = pc + 1
+${this.reorderOperands(second)}${HANDLERS[second]}`;
   }
+  
+  // Puts the operands back in a, b, c order when the instruction stores them shuffled
+  reorderOperands(name) {
+    const order = this.isa.operands[name];
+    if (order.every((slot, i) => slot === i)) return '';
+    
+    return `a, b, c = ${order.map(slot => SLOTS[slot]).join(', ')}\n`;
+  }
+}
+
+function indent(code, depth = 2) {
+  return code.split('\n').map(line => ' '.repeat(depth) + line).join('\n');
 }
\ No newline at end of file
@@ -1,23 +1,119 @@
+// A Map, so names such as `toString` or `constructor` are not mistaken for operators
+const BINARY_PRECEDENCE = new Map([
+  ['or', 1],
+  ['and', 2],
+  ['<', 3], ['>', 3], ['<=', 3], ['>=', 3], ['~=', 3], ['==', 3],
+  ['..', 4],
+  ['+', 5], ['-', 5],
+  ['*', 6], ['/', 6], ['//', 6], ['%', 6],
+  ['^', 8]
+]);
+
+const UNARY_PRECEDENCE = 7;
+const RIGHT_ASSOCIATIVE = new Set(['..', '^']);
+
+const COMPOUND_OPERATORS = new Set(['+=', '-=', '*=', '/=', '//=', '%=', '^=', '..=']);
+
+const BLOCK_TERMINATORS = new Set(['EOF', 'end', 'else', 'elseif', 'until']);
+
+// Keywords that resume parsing after an error when they begin a line
+const STATEMENT_KEYWORDS = new Set(['local', 'function', 'if', 'for', 'while', 'repeat', 'do', 'return', 'break']);
+
+// Tokens after which `if` starts an if-expression rather than a statement
+const EXPRESSION_CONTEXT = new Set(['=', '(', '[', ',', '{', 'return', 'in', 'not', '#']);
+
+// Tokens after which `continue` is an ordinary identifier rather than the statement
+const CONTINUE_IDENTIFIER_FOLLOWERS = new Set(['(', '.', '[', ':', '=', ',', '{', 'string', 'interpolated', ...COMPOUND_OPERATORS]);
+
+// Contextual keywords that start a type alias statement
+const TYPE_ALIAS_KEYWORDS = new Set(['type', 'export']);
+
+// Expressions that may be followed by `.name`, `[index]` or call arguments without parentheses
+const PREFIX_EXPRESSIONS = new Set(['Variable', 'MemberAccess', 'IndexAccess', 'Call', 'MethodCall', 'Paren']);
+
+const SIMPLE_ESCAPES = {
+  'n': 10, 't': 9, 'r': 13, 'a': 7, 'b': 8, 'f': 12, 'v': 11,
+  '\\': 92, '"': 34, '\'': 39, '\n': 10
+};
+
+const LONG_BRACKET_OPEN = /(?:--)?\[(=*)\[/y;
+
+// `--@celestial:<name>` line comments annotate the statement that follows them
+const ANNOTATION = /^--@celestial:(\w+)/;
+
+// Escapes that are only meaningful inside backtick strings
+const INTERPOLATION_ESCAPES = { '`': 96, '{': 123 };
+
+// Token types that can begin a type or an expression, reported when one is missing
+const TYPE_STARTS = ['identifier', 'nil', 'true', 'false', 'string', '{', '(', '<'];
+
+const EXPRESSION_STARTS = ['identifier', 'number', 'string', 'interpolated', 'nil', 'true', 'false', '...', 'function', 'if', '{', '(', '-', 'not', '#'];
+
+export class LuauSyntaxError extends Error {
+  constructor(message, { line, column, snippet, expected = [] }) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'LuauSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+    this.snippet = snippet;
+    this.expected = expected;
+  }
+
+  toDiagnostic() {
+    return {
+      severity: 'error',
+      message: this.reason,
+      line: this.line,
+      column: this.column,
+      snippet: this.snippet,
+      expected: this.expected
+    };
+  }
+}
+
 export class LuauParser {
-  constructor() {
+  constructor(options = {}) {
     this.tokens = [];
     this.position = 0;
     this.ast = null;
+    this.source = '';
+    this.lineStarts = [0];
+    this.annotations = [];
+    this.lastToken = null;
+    // In recovery mode syntax errors are collected instead of thrown
+    this.recover = options.recover || false;
+    this.diagnostics = [];
+    // Set on the nested parsers that read `{...}` segments of interpolated strings
+    this.interpolation = false;
+    // Type annotations are parsed either way; this only controls whether they are emitted
+    this.preserveTypes = options.preserveTypes || false;
   }
 
-  tokenize(code) {
+  tokenize(code, offset = 0) {
     const tokens = [];
     let current = 0;
     
+    // Interpolated expressions are tokenized separately but located within the enclosing source
+    if (offset === 0) {
+      this.source = code;
+      this.annotations = [];
+      this.lineStarts = [0];
+      for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') this.lineStarts.push(i + 1);
+      }
+    }
+    this.endPosition = offset + code.length;
+    
     const patterns = {
       whitespace: /\s+/y,
-      comment: /--[^\n]*/y,
-      string: /(['"])(?:\\.|(?!\1).)*\1/y,
-      number: /\b\d+(?:\.\d+)?\b/y,
-      keyword: /\b(?:function|local|if|then|else|elseif|end|for|while|do|repeat|until|return|break|in|and|or|not)\b/y,
+      comment: /--(?:\[(=*)\[[\s\S]*?\]\1\]|[^\n]*)/y,
+      string: /(['"])(?:\\z\s*|\\[\s\S]|(?!\1)[^\\\n])*\1|\[(=*)\[[\s\S]*?\]\2\]/y,
+      number: /0[xX][\da-fA-F_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?/y,
+      keyword: /\b(?:function|local|if|then|else|elseif|end|for|while|do|repeat|until|return|break|in|and|or|not|nil|true|false)\b/y,
       identifier: /\b[a-zA-Z_]\w*\b/y,
-      operator: /[=~<>]=?|\.\.\.?|[\+\-\*/%^#&|]|\.\.?/y,
-      punctuation: /[\[\](){},;:\.]/y
+      operator: /->|\.\.=|\/\/=?|[\+\-\*/%^]=|[=~<>]=?|\.\.\.?|[\+\-\*/%^#&|]|\.\.?/y,
+      punctuation: /::|[\[\](){},;:\.?]/y
     };
     
     while (current < code.length) {
@@ -31,6 +127,40 @@ export class LuauParser {
         continue;
       }
       
+      // A long bracket that never closes would otherwise lex as punctuation
+      LONG_BRACKET_OPEN.lastIndex = current;
+      const opening = LONG_BRACKET_OPEN.exec(code);
+      if (opening && !code.includes(`]${opening[1]}]`, current + opening[0].length)) {
+        const message = opening[0].startsWith('--') ? 'Unterminated long comment' : 'Unterminated long string';
+        this.report(this.syntaxError(message, [`]${opening[1]}]`], offset + current));
+        
+        // Everything after an unclosed long bracket belongs to it
+        break;
+      }
+      
+      // Backtick strings nest expressions, so they cannot be matched by a single pattern
+      if (code[current] === '`') {
+        let interpolated;
+        try {
+          interpolated = this.scanInterpolatedString(code, current, offset);
+        } catch (error) {
+          this.report(error);
+          const lineEnd = code.indexOf('\n', current);
+          current = lineEnd === -1 ? code.length : lineEnd;
+          continue;
+        }
+        
+        tokens.push({
+          type: 'interpolated',
+          value: code.slice(current, current + interpolated.length),
+          segments: interpolated.segments,
+          position: offset + current,
+          end: offset + current + interpolated.length
+        });
+        current += interpolated.length;
+        continue;
+      }
+      
       // Match tokens
       for (const [type, pattern] of Object.entries(patterns)) {
         if (type === 'whitespace') continue;
@@ -39,14 +169,27 @@ export class LuauParser {
         const match = pattern.exec(code);
         
         if (match) {
+          current += match[0].length;
+          matched = true;
+          
+          // Comments carry no meaning for the parser, apart from annotations
+          if (type === 'comment') {
+            const annotation = ANNOTATION.exec(match[0]);
+            if (annotation) {
+              this.annotations.push({ name: annotation[1], position: offset + current });
+            }
+            break;
+          }
+          
+          // Keywords, operators and punctuation are matched by their literal value
+          const isLiteral = type === 'keyword' || type === 'operator' || type === 'punctuation';
+          
           tokens.push({
-            type: type,
+            type: isLiteral ? match[0] : type,
             value: match[0],
-            position: current
+            position: offset + current - match[0].length,
+            end: offset + current
           });
-          
-          current += match[0].length;
-          matched = true;
           break;
         }
       }
@@ -56,7 +199,8 @@ export class LuauParser {
         tokens.push({
           type: 'unknown',
           value: code[current],
-          position: current
+          position: offset + current,
+          end: offset + current + 1
         });
         current++;
       }
@@ -65,56 +209,265 @@ export class LuauParser {
     return tokens;
   }
 
+  scanInterpolatedString(code, start, offset = 0) {
+    const segments = [];
+    let text = '';
+    let i = start + 1;
+    
+    while (i < code.length && code[i] !== '`') {
+      if (code[i] === '\\') {
+        text += code.substr(i, 2);
+        i += 2;
+      } else if (code[i] === '{') {
+        const end = this.findClosingBrace(code, i + 1, offset);
+        segments.push({ kind: 'text', value: text });
+        segments.push({ kind: 'expression', source: code.slice(i + 1, end), offset: offset + i + 1 });
+        text = '';
+        i = end + 1;
+      } else if (code[i] === '\n') {
+        throw this.syntaxError('Unterminated interpolated string', ['`'], offset + start);
+      } else {
+        text += code[i];
+        i++;
+      }
+    }
+    
+    if (i >= code.length) {
+      throw this.syntaxError('Unterminated interpolated string', ['`'], offset + start);
+    }
+    
+    segments.push({ kind: 'text', value: text });
+    return { length: i + 1 - start, segments };
+  }
+
+  findClosingBrace(code, start, offset = 0) {
+    let depth = 0;
+    let i = start;
+    
+    while (i < code.length) {
+      const char = code[i];
+      
+      if (char === '"' || char === '\'') {
+        // Skip quoted strings so braces inside them do not count
+        i++;
+        while (i < code.length && code[i] !== char) {
+          i += code[i] === '\\' ? 2 : 1;
+        }
+      } else if (char === '`') {
+        i += this.scanInterpolatedString(code, i, offset).length - 1;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        if (depth === 0) return i;
+        depth--;
+      }
+      i++;
+    }
+    
+    throw this.syntaxError('Unterminated interpolated string expression', ['}'], offset + start - 1);
+  }
+
   parse(code) {
+    this.diagnostics = [];
     this.tokens = this.tokenize(code);
     this.position = 0;
     this.ast = this.parseBlock();
+    
+    while (!this.matchToken('EOF')) {
+      // A stray `end`, `else` or `until` ends the top-level block early; skip it and carry on
+      this.report(this.unexpectedToken(['EOF']));
+      this.consumeToken();
+      this.ast.statements.push(...this.parseBlock().statements);
+    }
+    
+    this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
     return this.ast;
   }
 
+  report(error) {
+    if (!this.recover || !(error instanceof LuauSyntaxError)) {
+      throw error;
+    }
+    
+    this.diagnostics.push(error.toDiagnostic());
+  }
+
+  synchronize(start, failed) {
+    // Rescan the broken statement from its start so the blocks it opened are skipped
+    // as a whole, then stop at the next token that can plausibly start a statement
+    this.position = start;
+    let depth = 0;
+    
+    while (!this.matchToken('EOF')) {
+      const token = this.currentToken();
+      
+      if (depth === 0 && this.position >= failed && this.position > start) {
+        if (BLOCK_TERMINATORS.has(token.type)) return;
+        if (token.type === 'local' || token.type === 'function') return;
+        if (STATEMENT_KEYWORDS.has(token.type) && this.startsLine(token)) return;
+        
+        // A line starting with a name is a new statement unless the previous line is unfinished
+        if (token.type === 'identifier' && this.position > failed && this.startsLine(token) && !this.expectsOperand()) return;
+      }
+      
+      if (this.opensBlock(token)) {
+        depth++;
+      } else if ((token.type === 'end' || token.type === 'until') && depth > 0) {
+        depth--;
+      }
+      
+      this.consumeToken();
+    }
+  }
+
+  opensBlock(token) {
+    if (token.type === 'function' || token.type === 'do' || token.type === 'repeat') return true;
+    if (token.type !== 'if') return false;
+    
+    // if-expressions have no `end`, and they only appear where a value is expected
+    return !this.expectsOperand();
+  }
+
+  expectsOperand() {
+    const previous = this.tokens[this.position - 1];
+    return Boolean(previous) && (EXPRESSION_CONTEXT.has(previous.type) || BINARY_PRECEDENCE.has(previous.value));
+  }
+
+  startsLine(token) {
+    const { line } = this.locate(token.position);
+    return this.source.slice(this.lineStarts[line - 1], token.position).trim() === '';
+  }
+
   currentToken() {
-    return this.tokens[this.position] || { type: 'EOF', value: '' };
+    return this.tokens[this.position] || this.endToken();
   }
 
   peekToken(offset = 1) {
-    return this.tokens[this.position + offset] || { type: 'EOF', value: '' };
+    return this.tokens[this.position + offset] || this.endToken();
+  }
+
+  endToken() {
+    return { type: 'EOF', value: '', position: this.endPosition, end: this.endPosition };
   }
 
   consumeToken(type = null) {
     const token = this.currentToken();
     
     if (type && token.type !== type) {
-      throw new Error(`Expected ${type}, got ${token.type}`);
+      throw this.unexpectedToken([type]);
     }
     
     this.position++;
+    this.lastToken = token;
     return token;
   }
 
+  locate(position) {
+    // Binary search for the last line starting at or before the position
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.lineStarts[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    
+    return { line: low + 1, column: position - this.lineStarts[low] + 1 };
+  }
+
+  startPosition() {
+    return this.locate(this.currentToken().position);
+  }
+
+  finishNode(node, start) {
+    const end = this.lastToken ? this.locate(this.lastToken.end) : start;
+    node.loc = { start: start, end: end };
+    return node;
+  }
+
+  syntaxError(message, expected = [], position = this.currentToken().position) {
+    // Accepts a source offset or an already located { line, column }
+    const { line, column } = typeof position === 'number' ? this.locate(position) : position;
+    const lineEnd = this.source.indexOf('\n', this.lineStarts[line - 1]);
+    const snippet = this.source.slice(this.lineStarts[line - 1], lineEnd === -1 ? undefined : lineEnd).replace(/\r$/, '');
+    
+    return new LuauSyntaxError(message, { line, column, snippet, expected });
+  }
+
+  unexpectedToken(expected = [], description = null) {
+    const token = this.currentToken();
+    const end = this.interpolation ? "'}'" : 'end of input';
+    const found = token.type === 'EOF' ? end : `'${token.value}'`;
+    const wanted = description || expected.map(type => `'${type}'`).join(' or ');
+    
+    return this.syntaxError(`Unexpected ${found}${wanted ? `, expected ${wanted}` : ''}`, expected);
+  }
+
   matchToken(type) {
     return this.currentToken().type === type;
   }
 
   parseBlock() {
+    const start = this.startPosition();
     const statements = [];
     
-    while (!this.matchToken('EOF') && !this.matchToken('end') && !this.matchToken('else') && !this.matchToken('elseif')) {
-      const statement = this.parseStatement();
+    while (!BLOCK_TERMINATORS.has(this.currentToken().type)) {
+      const statementStart = this.startPosition();
+      const annotations = this.takeAnnotations();
+      const statement = this.recover ? this.parseStatementOrError() : this.parseStatement();
       if (statement) {
-        statements.push(statement);
+        if (annotations.length > 0) {
+          statement.annotations = annotations;
+        }
+        statements.push(this.finishNode(statement, statementStart));
+      }
+      
+      // `return` must be the last statement of a block
+      if (statement && statement.type === 'Return') {
+        break;
       }
     }
     
-    return {
+    return this.finishNode({
       type: 'Block',
       statements: statements
-    };
+    }, start);
+  }
+  
+  // Annotations written since the previous statement started belong to the one starting here
+  takeAnnotations() {
+    const position = this.currentToken().position;
+    const names = [];
+    while (this.annotations.length > 0 && this.annotations[0].position <= position) {
+      names.push(this.annotations.shift().name);
+    }
+    return names;
+  }
+
+  parseStatementOrError() {
+    const start = this.position;
+    
+    try {
+      return this.parseStatement();
+    } catch (error) {
+      this.report(error);
+      this.synchronize(start, this.position);
+      
+      return { type: 'ErrorNode', message: error.reason };
+    }
   }
 
   parseStatement() {
     const token = this.currentToken();
     
-    switch (token.value) {
+    switch (token.type) {
+      case ';':
+        this.consumeToken();
+        return null;
       case 'local':
         return this.parseLocal();
       case 'function':
@@ -127,12 +480,23 @@ export class LuauParser {
         return this.parseWhile();
       case 'repeat':
         return this.parseRepeat();
+      case 'do':
+        return this.parseDo();
       case 'return':
         return this.parseReturn();
       case 'break':
         this.consumeToken();
+        this.consumeSemicolon();
         return { type: 'Break' };
       default:
+        if (this.isTypeAliasStart()) {
+          return this.parseTypeAlias();
+        }
+        if (token.value === 'continue' && !CONTINUE_IDENTIFIER_FOLLOWERS.has(this.peekToken().type)) {
+          this.consumeToken();
+          this.consumeSemicolon();
+          return { type: 'Continue' };
+        }
         return this.parseAssignmentOrCall();
     }
   }
@@ -145,16 +509,18 @@ export class LuauParser {
     }
     
     const names = [this.consumeToken('identifier').value];
+    const types = [this.parseOptionalAnnotation()];
     
     while (this.matchToken(',')) {
       this.consumeToken(); // ','
       names.push(this.consumeToken('identifier').value);
+      types.push(this.parseOptionalAnnotation());
     }
     
-    let value = null;
+    let values = [];
     if (this.matchToken('=')) {
       this.consumeToken(); // '='
-      value = this.parseExpression();
+      values = this.parseExpressionList();
     }
     
     this.consumeSemicolon();
@@ -162,26 +528,19 @@ export class LuauParser {
     return {
       type: 'Local',
       names: names,
-      value: value
+      types: types,
+      values: values
     };
   }
 
   parseLocalFunction() {
     this.consumeToken(); // 'function'
     const name = this.consumeToken('identifier').value;
-    this.consumeToken('(');
-    
-    const params = this.parseParamList();
-    this.consumeToken(')');
-    
-    const body = this.parseBlock();
-    this.consumeToken('end');
     
     return {
       type: 'LocalFunction',
       name: name,
-      params: params,
-      body: body
+      ...this.parseFunctionBody()
     };
   }
 
@@ -192,53 +551,87 @@ export class LuauParser {
     if (this.matchToken('identifier')) {
       name = this.parseIdentifierChain();
     } else {
-      throw new Error('Expected function name');
+      throw this.unexpectedToken(['identifier'], 'function name');
+    }
+    
+    let method = null;
+    if (this.matchToken(':')) {
+      this.consumeToken(); // ':'
+      method = this.consumeToken('identifier').value;
     }
     
+    return {
+      type: 'Function',
+      name: name,
+      method: method,
+      ...this.parseFunctionBody()
+    };
+  }
+
+  parseFunctionExpression() {
+    this.consumeToken(); // 'function'
+    
+    return {
+      type: 'FunctionExpression',
+      ...this.parseFunctionBody()
+    };
+  }
+
+  parseFunctionBody() {
+    const generics = this.matchToken('<') ? this.parseGenericList() : [];
+    
     this.consumeToken('(');
-    const params = this.parseParamList();
+    const { params, paramTypes } = this.parseParamList();
     this.consumeToken(')');
     
+    let returnType = null;
+    if (this.matchToken(':')) {
+      this.consumeToken(); // ':'
+      returnType = this.parseTypeOrPack();
+    }
+    
     const body = this.parseBlock();
     this.consumeToken('end');
     
-    return {
-      type: 'Function',
-      name: name,
-      params: params,
-      body: body
-    };
+    return { generics, params, paramTypes, returnType, body };
   }
 
   parseIdentifierChain() {
-    let chain = [this.consumeToken('identifier').value];
+    const start = this.startPosition();
+    let chain = this.finishNode({ type: 'Variable', name: this.consumeToken('identifier').value }, start);
     
     while (this.matchToken('.')) {
       this.consumeToken(); // '.'
-      chain.push(this.consumeToken('identifier').value);
+      chain = this.finishNode({
+        type: 'MemberAccess',
+        object: chain,
+        member: this.consumeToken('identifier').value
+      }, start);
     }
     
-    return chain.join('.');
+    return chain;
   }
 
   parseParamList() {
     const params = [];
+    const paramTypes = [];
     
-    if (!this.matchToken(')')) {
+    while (!this.matchToken(')')) {
+      if (this.matchToken('...')) {
+        params.push('...');
+        this.consumeToken();
+        paramTypes.push(this.parseOptionalAnnotation());
+        break;
+      }
+      
       params.push(this.consumeToken('identifier').value);
+      paramTypes.push(this.parseOptionalAnnotation());
       
-      while (this.matchToken(',')) {
-        this.consumeToken(); // ','
-        if (this.matchToken('...')) {
-          params.push('...');
-          this.consumeToken();
-          break;
-        }
-        params.push(this.consumeToken('identifier').value);
-      }
+      if (!this.matchToken(',')) break;
+      this.consumeToken(); // ','
     }
     
-    return params;
+    return { params, paramTypes };
   }
 
   parseIf() {
@@ -281,9 +674,11 @@ export class LuauParser {
   parseFor() {
     this.consumeToken(); // 'for'
     
-    if (this.matchToken('identifier') && this.peekToken().value === '=') {
+    const variable = this.consumeToken('identifier').value;
+    const variableType = this.parseOptionalAnnotation();
+    
+    if (this.matchToken('=')) {
       // Numeric for
-      const variable = this.consumeToken('identifier').value;
       this.consumeToken('=');
       const start = this.parseExpression();
       this.consumeToken(',');
@@ -302,6 +697,7 @@ export class LuauParser {
       return {
         type: 'NumericFor',
         variable: variable,
+        variableType: variableType,
         start: start,
         end: end,
         step: step,
@@ -309,20 +705,17 @@ export class LuauParser {
       };
     } else {
       // Generic for
-      const variables = [this.consumeToken('identifier').value];
+      const variables = [variable];
+      const variableTypes = [variableType];
       
       while (this.matchToken(',')) {
         this.consumeToken();
         variables.push(this.consumeToken('identifier').value);
+        variableTypes.push(this.parseOptionalAnnotation());
       }
       
       this.consumeToken('in');
-      const expressions = [this.parseExpression()];
-      
-      while (this.matchToken(',')) {
-        this.consumeToken();
-        expressions.push(this.parseExpression());
-      }
+      const expressions = this.parseExpressionList();
       
       this.consumeToken('do');
       const body = this.parseBlock();
@@ -331,6 +724,7 @@ export class LuauParser {
       return {
         type: 'GenericFor',
         variables: variables,
+        variableTypes: variableTypes,
         expressions: expressions,
         body: body
       };
@@ -364,17 +758,23 @@ export class LuauParser {
     };
   }
 
+  parseDo() {
+    this.consumeToken(); // 'do'
+    const body = this.parseBlock();
+    this.consumeToken('end');
+    
+    return {
+      type: 'Do',
+      body: body
+    };
+  }
+
   parseReturn() {
     this.consumeToken(); // 'return'
     
-    const expressions = [];
-    if (!this.matchToken(';') && !this.matchToken('EOF')) {
-      expressions.push(this.parseExpression());
-      
-      while (this.matchToken(',')) {
-        this.consumeToken();
-        expressions.push(this.parseExpression());
-      }
+    let expressions = [];
+    if (!this.matchToken(';') && !BLOCK_TERMINATORS.has(this.currentToken().type)) {
+      expressions = this.parseExpressionList();
     }
     
     this.consumeSemicolon();
@@ -386,32 +786,74 @@ export class LuauParser {
   }
 
   parseAssignmentOrCall() {
-    const expression = this.parseExpression();
+    const expression = this.parseSuffixedExpression();
     
-    if (this.matchToken('=')) {
+    if (COMPOUND_OPERATORS.has(this.currentToken().type)) {
+      return this.parseCompoundAssignment(expression);
+    }
+    
+    if (this.matchToken('=') || this.matchToken(',')) {
       // Assignment
-      this.consumeToken(); // '='
-      const value = this.parseExpression();
-      this.consumeSemicolon();
+      const targets = [expression];
       
-      return {
-        type: 'Assignment',
-        target: expression,
-        value: value
-      };
-    } else {
-      // Function call or expression statement
-      this.consumeSemicolon();
+      while (this.matchToken(',')) {
+        this.consumeToken(); // ','
+        targets.push(this.parseSuffixedExpression());
+      }
       
-      if (expression.type === 'Call') {
-        return expression;
+      for (const target of targets) {
+        if (target.type !== 'Variable' && target.type !== 'MemberAccess' && target.type !== 'IndexAccess') {
+          throw this.syntaxError(`Cannot assign to ${target.type}`, [], target.loc.start);
+        }
       }
       
+      this.consumeToken('=');
+      const values = this.parseExpressionList();
+      this.consumeSemicolon();
+      
       return {
-        type: 'ExpressionStatement',
-        expression: expression
+        type: 'Assignment',
+        targets: targets,
+        values: values
       };
     }
+    
+    // Only calls may stand on their own as statements
+    if (expression.type !== 'Call' && expression.type !== 'MethodCall') {
+      throw this.syntaxError('Expected assignment or function call', ['=', '('], expression.loc.start);
+    }
+    
+    this.consumeSemicolon();
+    return expression;
+  }
+
+  parseCompoundAssignment(target) {
+    if (target.type !== 'Variable' && target.type !== 'MemberAccess' && target.type !== 'IndexAccess') {
+      throw this.syntaxError(`Cannot assign to ${target.type}`, [], target.loc.start);
+    }
+    
+    // Store the plain operator, so `..=` becomes `..`
+    const operator = this.consumeToken().value.slice(0, -1);
+    const value = this.parseExpression();
+    this.consumeSemicolon();
+    
+    return {
+      type: 'CompoundAssignment',
+      operator: operator,
+      target: target,
+      value: value
+    };
+  }
+
+  parseExpressionList() {
+    const expressions = [this.parseExpression()];
+    
+    while (this.matchToken(',')) {
+      this.consumeToken(); // ','
+      expressions.push(this.parseExpression());
+    }
+    
+    return expressions;
   }
 
   parseExpression() {
@@ -419,53 +861,57 @@ export class LuauParser {
   }
 
   parseBinaryExpression(minPrecedence) {
-    const precedences = {
-      'or': 1,
-      'and': 2,
-      '<': 3, '>': 3, '<=': 3, '>=': 3, '~=': 3, '==': 3,
-      '..': 4,
-      '+': 5, '-': 5,
-      '*': 6, '/': 6, '%': 6,
-      '^': 7
-    };
-    
     let left = this.parseUnaryExpression();
     
     while (true) {
       const token = this.currentToken();
-      const precedence = precedences[token.value];
+      const precedence = token.type !== 'string' ? BINARY_PRECEDENCE.get(token.value) : undefined;
       
       if (!precedence || precedence < minPrecedence) {
         break;
       }
       
       this.consumeToken();
-      const right = this.parseBinaryExpression(precedence + 1);
+      const nextPrecedence = RIGHT_ASSOCIATIVE.has(token.value) ? precedence : precedence + 1;
+      const right = this.parseBinaryExpression(nextPrecedence);
       
-      left = {
+      left = this.finishNode({
         type: 'BinaryOperation',
         operator: token.value,
         left: left,
         right: right
-      };
+      }, left.loc.start);
     }
     
     return left;
   }
 
   parseUnaryExpression() {
+    const start = this.startPosition();
+    
     if (this.matchToken('-') || this.matchToken('not') || this.matchToken('#')) {
       const token = this.consumeToken();
-      const argument = this.parseUnaryExpression();
+      const argument = this.parseBinaryExpression(UNARY_PRECEDENCE);
       
-      return {
+      return this.finishNode({
         type: 'UnaryOperation',
         operator: token.value,
         argument: argument
-      };
+      }, start);
+    }
+    
+    let expression = this.finishNode(this.parsePrimaryExpression(), start);
+    
+    while (this.matchToken('::')) {
+      this.consumeToken(); // '::'
+      expression = this.finishNode({
+        type: 'TypeAssertion',
+        expression: expression,
+        annotation: this.parseType()
+      }, start);
     }
     
-    return this.parsePrimaryExpression();
+    return expression;
   }
 
   parsePrimaryExpression() {
@@ -474,54 +920,133 @@ export class LuauParser {
     switch (token.type) {
       case 'number':
         this.consumeToken();
-        return { type: 'Number', value: parseFloat(token.value) };
+        return { type: 'Number', value: this.parseNumberLiteral(token.value) };
         
       case 'string':
-        this.consumeToken();
-        return { type: 'String', value: token.value.slice(1, -1) };
+        return { type: 'String', value: this.parseStringToken() };
         
-      case 'identifier':
-        return this.parseVariableOrCall();
+      case 'interpolated':
+        return this.parseInterpolatedString();
+      
+      case 'if':
+        return this.parseIfExpression();
+      
+      case 'nil':
+        this.consumeToken();
+        return { type: 'Nil' };
         
-      case '(':
-        this.consumeToken(); // '('
-        const expression = this.parseExpression();
-        this.consumeToken(')');
-        return expression;
+      case 'true':
+      case 'false':
+        this.consumeToken();
+        return { type: 'Boolean', value: token.type === 'true' };
+      
+      case '...':
+        this.consumeToken();
+        return { type: 'Vararg' };
+      
+      case 'function':
+        return this.parseFunctionExpression();
         
       case '{':
         return this.parseTable();
-        
-      default:
-        throw new Error(`Unexpected token: ${token.value}`);
+      
+      case 'identifier':
+      case '(':
+        return this.parseSuffixedExpression();
+        
+      default:
+        throw this.unexpectedToken(EXPRESSION_STARTS, 'expression');
     }
   }
 
-  parseVariableOrCall() {
-    const start = this.position;
-    const variable = this.parseVariable();
+  parseInterpolatedString() {
+    const token = this.currentToken();
+    const strings = [];
+    const expressions = [];
     
-    if (this.matchToken('(') || this.matchToken('{') || this.matchToken('string')) {
-      // Function call
-      this.position = start;
-      return this.parseFunctionCall();
+    for (const segment of token.segments) {
+      if (segment.kind === 'text') {
+        strings.push(this.decodeString(segment.value, true));
+      } else {
+        expressions.push(this.parseExpressionSource(segment.source, segment.offset));
+      }
     }
     
-    return variable;
+    // Consumed last so errors inside the string point at it
+    this.consumeToken();
+    
+    return {
+      type: 'InterpolatedString',
+      strings: strings,
+      expressions: expressions
+    };
   }
 
-  parseVariable() {
-    let expression = { type: 'Variable', name: this.consumeToken('identifier').value };
+  parseExpressionSource(source, offset) {
+    const parser = new LuauParser({ preserveTypes: this.preserveTypes });
+    parser.source = this.source;
+    parser.lineStarts = this.lineStarts;
+    parser.interpolation = true;
+    parser.tokens = parser.tokenize(source, offset);
+    parser.position = 0;
+    
+    const expression = parser.parseExpression();
+    if (!parser.matchToken('EOF')) {
+      throw parser.unexpectedToken(['}']);
+    }
+    
+    return expression;
+  }
+
+  parseIfExpression() {
+    this.consumeToken(); // 'if'
+    const condition = this.parseExpression();
+    this.consumeToken('then');
+    const consequent = this.parseExpression();
+    
+    const elseIfs = [];
+    while (this.matchToken('elseif')) {
+      this.consumeToken(); // 'elseif'
+      const elseifCondition = this.parseExpression();
+      this.consumeToken('then');
+      elseIfs.push({ condition: elseifCondition, value: this.parseExpression() });
+    }
+    
+    // Unlike the statement form, the else branch is mandatory
+    this.consumeToken('else');
+    const alternate = this.parseExpression();
+    
+    return {
+      type: 'IfExpression',
+      condition: condition,
+      consequent: consequent,
+      elseIfs: elseIfs,
+      alternate: alternate
+    };
+  }
+
+  parseSuffixedExpression() {
+    const start = this.startPosition();
+    let expression;
+    
+    if (this.matchToken('(')) {
+      this.consumeToken(); // '('
+      expression = { type: 'Paren', expression: this.parseExpression() };
+      this.consumeToken(')');
+    } else {
+      expression = { type: 'Variable', name: this.consumeToken('identifier').value };
+    }
     
     while (true) {
+      // Each link of the chain spans from the start of the whole expression
+      this.finishNode(expression, start);
+      
       if (this.matchToken('.')) {
         this.consumeToken(); // '.'
-        const name = this.consumeToken('identifier').value;
-        
         expression = {
           type: 'MemberAccess',
           object: expression,
-          member: name
+          member: this.consumeToken('identifier').value
         };
       } else if (this.matchToken('[')) {
         this.consumeToken(); // '['
@@ -533,23 +1058,22 @@ export class LuauParser {
           object: expression,
           index: index
         };
-      } else if (this.matchToken(':') && this.peekToken(1).type === 'identifier') {
+      } else if (this.matchToken(':')) {
         this.consumeToken(); // ':'
         const method = this.consumeToken('identifier').value;
         
-        if (this.matchToken('(')) {
-          // Method call
-          this.consumeToken(); // '('
-          const args = this.parseArgList();
-          this.consumeToken(')');
-          
-          return {
-            type: 'MethodCall',
-            object: expression,
-            method: method,
-            arguments: args
-          };
-        }
+        expression = {
+          type: 'MethodCall',
+          object: expression,
+          method: method,
+          arguments: this.parseCallArguments()
+        };
+      } else if (this.matchToken('(') || this.matchToken('{') || this.matchToken('string') || this.matchToken('interpolated')) {
+        expression = {
+          type: 'Call',
+          function: expression,
+          arguments: this.parseCallArguments()
+        };
       } else {
         break;
       }
@@ -558,61 +1082,29 @@ export class LuauParser {
     return expression;
   }
 
-  parseFunctionCall() {
-    const prefix = this.parsePrimaryExpression();
+  parseCallArguments() {
+    const start = this.startPosition();
     
-    if (this.matchToken(':')) {
-      // Method call
-      this.consumeToken(); // ':'
-      const method = this.consumeToken('identifier').value;
-      this.consumeToken('(');
-      const args = this.parseArgList();
-      this.consumeToken(')');
-      
-      return {
-        type: 'MethodCall',
-        object: prefix,
-        method: method,
-        arguments: args
-      };
-    } else if (this.matchToken('(')) {
-      // Function call
-      this.consumeToken(); // '('
-      const args = this.parseArgList();
-      this.consumeToken(')');
-      
-      return {
-        type: 'Call',
-        function: prefix,
-        arguments: args
-      };
-    } else if (this.matchToken('{') || this.matchToken('string')) {
-      // Function call with table or string argument
-      const args = [this.parsePrimaryExpression()];
-      
-      return {
-        type: 'Call',
-        function: prefix,
-        arguments: args
-      };
+    if (this.matchToken('{')) {
+      return [this.finishNode(this.parseTable(), start)];
     }
     
-    return prefix;
+    if (this.matchToken('string') || this.matchToken('interpolated')) {
+      return [this.finishNode(this.parsePrimaryExpression(), start)];
+    }
+    
+    this.consumeToken('(');
+    const args = this.parseArgList();
+    this.consumeToken(')');
+    return args;
   }
 
   parseArgList() {
-    const args = [];
-    
-    if (!this.matchToken(')')) {
-      args.push(this.parseExpression());
-      
-      while (this.matchToken(',')) {
-        this.consumeToken();
-        args.push(this.parseExpression());
-      }
+    if (this.matchToken(')')) {
+      return [];
     }
     
-    return args;
+    return this.parseExpressionList();
   }
 
   parseTable() {
@@ -620,6 +1112,8 @@ export class LuauParser {
     const fields = [];
     
     while (!this.matchToken('}')) {
+      const fieldStart = this.startPosition();
+      
       if (this.matchToken('[')) {
         // Index field
         this.consumeToken(); // '['
@@ -628,22 +1122,24 @@ export class LuauParser {
         this.consumeToken('=');
         const value = this.parseExpression();
         
-        fields.push({ type: 'IndexField', key: key, value: value });
+        fields.push(this.finishNode({ type: 'IndexField', key: key, value: value }, fieldStart));
       } else if (this.matchToken('identifier') && this.peekToken().value === '=') {
         // Named field
         const key = this.consumeToken('identifier').value;
         this.consumeToken('=');
         const value = this.parseExpression();
         
-        fields.push({ type: 'NamedField', key: key, value: value });
+        fields.push(this.finishNode({ type: 'NamedField', key: key, value: value }, fieldStart));
       } else {
         // Array field
         const value = this.parseExpression();
-        fields.push({ type: 'ArrayField', value: value });
+        fields.push(this.finishNode({ type: 'ArrayField', value: value }, fieldStart));
       }
       
-      if (!this.matchToken('}')) {
-        this.consumeToken(',');
+      if (this.matchToken(',') || this.matchToken(';')) {
+        this.consumeToken();
+      } else {
+        break;
       }
     }
     
@@ -655,32 +1151,575 @@ export class LuauParser {
     };
   }
 
+  isTypeAliasStart() {
+    const token = this.currentToken();
+    if (token.type !== 'identifier' || !TYPE_ALIAS_KEYWORDS.has(token.value)) return false;
+    
+    // `type(x)` and `export = 1` are ordinary code
+    if (token.value === 'export') {
+      return this.peekToken().value === 'type' && this.peekToken(2).type === 'identifier';
+    }
+    return this.peekToken().type === 'identifier';
+  }
+
+  parseTypeAlias() {
+    let exported = false;
+    if (this.currentToken().value === 'export') {
+      this.consumeToken(); // 'export'
+      exported = true;
+    }
+    
+    this.consumeToken(); // 'type'
+    const name = this.consumeToken('identifier').value;
+    const generics = this.matchToken('<') ? this.parseGenericList() : [];
+    
+    this.consumeToken('=');
+    const value = this.parseType();
+    this.consumeSemicolon();
+    
+    return {
+      type: 'TypeAlias',
+      name: name,
+      exported: exported,
+      generics: generics,
+      value: value
+    };
+  }
+
+  parseGenericList() {
+    this.consumeToken('<');
+    const generics = [];
+    
+    while (!this.matchToken('>')) {
+      const name = this.consumeToken('identifier').value;
+      let pack = false;
+      
+      if (this.matchToken('...')) {
+        this.consumeToken(); // '...'
+        pack = true;
+      }
+      
+      let defaultType = null;
+      if (this.matchToken('=')) {
+        this.consumeToken(); // '='
+        defaultType = this.parseTypeOrPack();
+      }
+      
+      generics.push({ name, pack, defaultType });
+      
+      if (!this.matchToken(',')) break;
+      this.consumeToken(); // ','
+    }
+    
+    this.consumeToken('>');
+    return generics;
+  }
+
+  parseOptionalAnnotation() {
+    if (!this.matchToken(':')) return null;
+    
+    this.consumeToken(); // ':'
+    return this.parseType();
+  }
+
+  parseTypeOrPack() {
+    // Return types and generic arguments may also be packs: `...T`, `T...` or `(A, B)`
+    if (this.matchToken('...')) {
+      const start = this.startPosition();
+      this.consumeToken(); // '...'
+      return this.finishNode({ type: 'TypeVariadic', element: this.parseType() }, start);
+    }
+    
+    return this.parseType();
+  }
+
+  parseType() {
+    const start = this.startPosition();
+    
+    // A leading separator is allowed so long unions can be laid out one per line
+    if (this.matchToken('|') || this.matchToken('&')) {
+      this.consumeToken();
+    }
+    
+    const first = this.parseOptionalType();
+    
+    for (const [operator, type] of [['|', 'TypeUnion'], ['&', 'TypeIntersection']]) {
+      if (this.matchToken(operator)) {
+        const types = [first];
+        
+        while (this.matchToken(operator)) {
+          this.consumeToken();
+          types.push(this.parseOptionalType());
+        }
+        
+        return this.finishNode({ type, types }, start);
+      }
+    }
+    
+    return first;
+  }
+
+  parseOptionalType() {
+    const start = this.startPosition();
+    let base = this.finishNode(this.parseSimpleType(), start);
+    
+    while (this.matchToken('?')) {
+      this.consumeToken(); // '?'
+      base = this.finishNode({ type: 'TypeOptional', base: base }, start);
+    }
+    
+    return base;
+  }
+
+  parseSimpleType() {
+    const token = this.currentToken();
+    
+    switch (token.type) {
+      case 'nil':
+        this.consumeToken();
+        return { type: 'TypeReference', prefix: null, name: 'nil', parameters: [] };
+      
+      case 'true':
+      case 'false':
+        this.consumeToken();
+        return { type: 'TypeSingleton', value: token.type === 'true' };
+      
+      case 'string':
+        return { type: 'TypeSingleton', value: this.parseStringToken() };
+      
+      case '{':
+        return this.parseTableType();
+      
+      case '<':
+      case '(':
+        return this.parseFunctionOrParenType();
+      
+      case 'identifier':
+        return this.parseTypeReference();
+      
+      default:
+        throw this.unexpectedToken(TYPE_STARTS, 'type');
+    }
+  }
+
+  parseTypeReference() {
+    let prefix = null;
+    let name = this.consumeToken('identifier').value;
+    
+    if (name === 'typeof' && this.matchToken('(')) {
+      this.consumeToken(); // '('
+      const expression = this.parseExpression();
+      this.consumeToken(')');
+      return { type: 'TypeTypeof', expression: expression };
+    }
+    
+    if (this.matchToken('...')) {
+      this.consumeToken(); // '...'
+      return { type: 'TypeGenericPack', name: name };
+    }
+    
+    if (this.matchToken('.')) {
+      this.consumeToken(); // '.'
+      prefix = name;
+      name = this.consumeToken('identifier').value;
+    }
+    
+    const parameters = [];
+    if (this.matchToken('<')) {
+      this.consumeToken(); // '<'
+      
+      while (!this.matchToken('>')) {
+        parameters.push(this.parseTypeOrPack());
+        
+        if (!this.matchToken(',')) break;
+        this.consumeToken(); // ','
+      }
+      
+      this.consumeToken('>');
+    }
+    
+    return { type: 'TypeReference', prefix, name, parameters };
+  }
+
+  parseTableType() {
+    this.consumeToken(); // '{'
+    const props = [];
+    let indexer = null;
+    
+    // `{ T }` is shorthand for an array of T
+    const isProperty = this.matchToken('[') ||
+      (this.matchToken('identifier') && (this.peekToken().type === ':' || this.peekToken(2).type === ':'));
+    
+    if (!this.matchToken('}') && !isProperty) {
+      const element = this.parseType();
+      this.consumeToken('}');
+      return { type: 'TypeArray', element: element };
+    }
+    
+    while (!this.matchToken('}')) {
+      let access = null;
+      if ((this.currentToken().value === 'read' || this.currentToken().value === 'write') &&
+          (this.peekToken().type === 'identifier' || this.peekToken().type === '[')) {
+        access = this.consumeToken().value;
+      }
+      
+      if (this.matchToken('[')) {
+        this.consumeToken(); // '['
+        const key = this.parseType();
+        this.consumeToken(']');
+        this.consumeToken(':');
+        indexer = { access, key, value: this.parseType() };
+      } else {
+        const name = this.consumeToken('identifier').value;
+        this.consumeToken(':');
+        props.push({ access, name, value: this.parseType() });
+      }
+      
+      if (this.matchToken(',') || this.matchToken(';')) {
+        this.consumeToken();
+      } else {
+        break;
+      }
+    }
+    
+    this.consumeToken('}');
+    return { type: 'TypeTable', props, indexer };
+  }
+
+  parseFunctionOrParenType() {
+    const generics = this.matchToken('<') ? this.parseGenericList() : [];
+    
+    this.consumeToken('(');
+    const parameters = [];
+    
+    while (!this.matchToken(')')) {
+      let name = null;
+      if (this.matchToken('identifier') && this.peekToken().type === ':') {
+        name = this.consumeToken().value;
+        this.consumeToken(); // ':'
+      }
+      
+      parameters.push({ name, annotation: this.parseTypeOrPack() });
+      
+      if (!this.matchToken(',')) break;
+      this.consumeToken(); // ','
+    }
+    
+    this.consumeToken(')');
+    
+    if (this.matchToken('->')) {
+      this.consumeToken(); // '->'
+      return {
+        type: 'TypeFunction',
+        generics: generics,
+        parameters: parameters,
+        returns: this.parseTypeOrPack()
+      };
+    }
+    
+    if (generics.length > 0) {
+      throw this.syntaxError('Expected -> after generic function type parameters', ['->']);
+    }
+    
+    // A single unnamed type in parentheses is just grouping; anything else is a pack
+    if (parameters.length === 1 && !parameters[0].name && parameters[0].annotation.type !== 'TypeVariadic') {
+      return { type: 'TypeParen', inner: parameters[0].annotation };
+    }
+    
+    return { type: 'TypePackList', types: parameters.map(param => param.annotation) };
+  }
+
   consumeSemicolon() {
     if (this.matchToken(';')) {
       this.consumeToken();
     }
   }
 
+  parseNumberLiteral(text) {
+    const digits = text.replace(/_/g, '');
+    
+    if (/^0[xX]/.test(digits)) {
+      return parseInt(digits.slice(2), 16);
+    }
+    if (/^0[bB]/.test(digits)) {
+      return parseInt(digits.slice(2), 2);
+    }
+    
+    return Number(digits);
+  }
+
+  parseStringToken() {
+    // Decoded before consuming so escape errors point at the string itself
+    const value = this.parseStringLiteral(this.currentToken().value);
+    this.consumeToken();
+    return value;
+  }
+
+  parseStringLiteral(text) {
+    if (text[0] !== '[') {
+      return this.decodeString(text.slice(1, -1));
+    }
+    
+    // Long brackets take their contents verbatim, minus a newline right after the opening bracket
+    const level = text.indexOf('[', 1) + 1;
+    const body = text.slice(level, text.length - level);
+    return this.toByteString(new TextEncoder().encode(body.replace(/^\r?\n/, '')));
+  }
+  
+  // String values are byte strings, one char per byte as in Luau, so blobs that are not
+  // valid UTF-8 survive unchanged
+  toByteString(bytes) {
+    let value = '';
+    for (const byte of bytes) {
+      value += String.fromCharCode(byte);
+    }
+    return value;
+  }
+
+  decodeString(body, interpolated = false) {
+    // Source characters are taken as their UTF-8 bytes, escapes as the bytes they spell
+    const encoder = new TextEncoder();
+    const bytes = [];
+    let i = 0;
+    
+    while (i < body.length) {
+      const char = String.fromCodePoint(body.codePointAt(i));
+      
+      if (char !== '\\') {
+        bytes.push(...encoder.encode(char));
+        i += char.length;
+        continue;
+      }
+      
+      const next = body[i + 1];
+      
+      if (next === '\r') {
+        // An escaped CRLF is still a single line break
+        bytes.push(10);
+        i += body[i + 2] === '\n' ? 3 : 2;
+      } else if (next in SIMPLE_ESCAPES) {
+        bytes.push(SIMPLE_ESCAPES[next]);
+        i += 2;
+      } else if (next === 'z') {
+        // \z skips the escape and all whitespace after it, including line breaks
+        i += 2;
+        while (i < body.length && /\s/.test(body[i])) i++;
+      } else if (next === 'u') {
+        const match = body.slice(i).match(/^\\u\{([\da-fA-F]+)\}/);
+        const codePoint = match ? parseInt(match[1], 16) : NaN;
+        if (!(codePoint <= 0x10FFFF)) {
+          throw this.syntaxError('Invalid unicode escape sequence');
+        }
+        bytes.push(...this.encodeCodePoint(codePoint));
+        i += match[0].length;
+      } else if (interpolated && next in INTERPOLATION_ESCAPES) {
+        bytes.push(INTERPOLATION_ESCAPES[next]);
+        i += 2;
+      } else if (next === 'x') {
+        const hex = body.substr(i + 2, 2);
+        if (!/^[\da-fA-F]{2}$/.test(hex)) {
+          throw this.syntaxError('Invalid hexadecimal escape sequence');
+        }
+        bytes.push(parseInt(hex, 16));
+        i += 4;
+      } else if (/\d/.test(next)) {
+        const digits = body.substr(i + 1, 3).match(/^\d{1,3}/)[0];
+        if (parseInt(digits, 10) > 255) {
+          throw this.syntaxError(`Decimal escape too large: \\${digits}`);
+        }
+        bytes.push(parseInt(digits, 10));
+        i += 1 + digits.length;
+      } else {
+        throw this.syntaxError(`Invalid escape sequence: \\${next}`);
+      }
+    }
+    
+    return this.toByteString(bytes);
+  }
+
+  encodeCodePoint(codePoint) {
+    // Encoded by hand because surrogate code points have no JS string form
+    if (codePoint < 0x80) return [codePoint];
+    if (codePoint < 0x800) {
+      return [0xC0 | (codePoint >> 6), 0x80 | (codePoint & 0x3F)];
+    }
+    if (codePoint < 0x10000) {
+      return [0xE0 | (codePoint >> 12), 0x80 | ((codePoint >> 6) & 0x3F), 0x80 | (codePoint & 0x3F)];
+    }
+    return [
+      0xF0 | (codePoint >> 18),
+      0x80 | ((codePoint >> 12) & 0x3F),
+      0x80 | ((codePoint >> 6) & 0x3F),
+      0x80 | (codePoint & 0x3F)
+    ];
+  }
+
+  quoteString(value, quote = '"') {
+    let quoted = quote;
+    
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      const code = value.charCodeAt(i);
+      
+      // Braces open an expression inside backtick strings
+      if (char === quote || char === '\\' || (quote === '`' && char === '{')) {
+        quoted += '\\' + char;
+      } else if (char === '\n') {
+        quoted += '\\n';
+      } else if (char === '\r') {
+        quoted += '\\r';
+      } else if (char === '\t') {
+        quoted += '\\t';
+      } else if (code < 32 || code === 127) {
+        // Pad to three digits so a following digit is never read as part of the escape
+        quoted += '\\' + code.toString().padStart(3, '0');
+      } else if (code < 128) {
+        quoted += char;
+      } else {
+        // Well-formed UTF-8 is written as the character it spells, any other byte as an escape
+        const sequence = this.utf8Sequence(value, i);
+        if (sequence) {
+          quoted += sequence.char;
+          i += sequence.length - 1;
+        } else {
+          quoted += '\\' + code.toString().padStart(3, '0');
+        }
+      }
+    }
+    
+    return quoted + quote;
+  }
+
+  utf8Sequence(value, start) {
+    const lead = value.charCodeAt(start);
+    const length = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC2 ? 2 : 0;
+    if (length === 0 || start + length > value.length) return null;
+    
+    const bytes = Uint8Array.from(value.slice(start, start + length), char => char.charCodeAt(0));
+    try {
+      // Fatal decoding rejects overlong forms, surrogates and stray continuation bytes
+      return { char: new TextDecoder('utf-8', { fatal: true }).decode(bytes), length };
+    } catch {
+      return null;
+    }
+  }
+
+  formatNumber(value) {
+    if (Number.isNaN(value)) return '(0/0)';
+    if (value === Infinity) return '(1/0)';
+    return value.toString();
+  }
+
+  walk(node, visitor, parent = null) {
+    if (Array.isArray(node)) {
+      // Iterate over a snapshot so visitors may insert siblings
+      [...node].forEach(child => this.walk(child, visitor, parent));
+      return;
+    }
+    
+    if (!node || typeof node !== 'object') return;
+    
+    if (node.type) {
+      visitor(node, parent);
+    }
+    
+    for (const value of Object.values(node)) {
+      if (value && typeof value === 'object') {
+        this.walk(value, visitor, node.type ? node : parent);
+      }
+    }
+  }
+
+  generateOperand(node, parentOperator, side) {
+    const code = this.generateCode(node);
+    const parentPrecedence = BINARY_PRECEDENCE.get(parentOperator);
+    
+    // An if-expression's else branch would swallow the rest of the operation
+    if (node.type === 'Raw' || node.type === 'IfExpression') {
+      return `(${code})`;
+    }
+    
+    if (node.type === 'UnaryOperation') {
+      // -x ^ 2 means -(x ^ 2), so a unary base of ^ must be parenthesized
+      return parentPrecedence > UNARY_PRECEDENCE && side === 'left' ? `(${code})` : code;
+    }
+    
+    if (node.type !== 'BinaryOperation') {
+      return code;
+    }
+    
+    const precedence = BINARY_PRECEDENCE.get(node.operator);
+    const rightAssociative = RIGHT_ASSOCIATIVE.has(parentOperator);
+    
+    if (precedence < parentPrecedence ||
+        (precedence === parentPrecedence && (side === 'left') === rightAssociative)) {
+      return `(${code})`;
+    }
+    
+    return code;
+  }
+
+  generatePrefix(node) {
+    const code = this.generateCode(node);
+    return PREFIX_EXPRESSIONS.has(node.type) ? code : `(${code})`;
+  }
+
+  generateAnnotation(annotation) {
+    return this.preserveTypes && annotation ? `: ${this.generateCode(annotation)}` : '';
+  }
+
+  generateGenerics(generics) {
+    if (!this.preserveTypes || !generics || generics.length === 0) return '';
+    
+    const list = generics.map(generic => {
+      let code = generic.name + (generic.pack ? '...' : '');
+      if (generic.defaultType) {
+        code += ` = ${this.generateCode(generic.defaultType)}`;
+      }
+      return code;
+    });
+    
+    return `<${list.join(', ')}>`;
+  }
+
+  generateFunctionBody(node) {
+    const paramTypes = node.paramTypes || [];
+    const params = node.params.map((param, i) => param + this.generateAnnotation(paramTypes[i]));
+    const returnType = this.generateAnnotation(node.returnType);
+    
+    return `${this.generateGenerics(node.generics)}(${params.join(', ')})${returnType}\n${this.generateCode(node.body)}\nend`;
+  }
+
   generateCode(ast) {
     if (!ast) return '';
     
     const generators = {
-      Block: (node) => node.statements.map(stmt => this.generateCode(stmt)).join('\n'),
+      Block: (node) => node.statements.map(stmt => {
+        const code = this.generateCode(stmt);
+        // A statement starting with '(' would otherwise continue the previous call
+        return code.startsWith('(') ? ';' + code : code;
+      }).filter(code => code !== '').join('\n'),
       
       Local: (node) => {
-        let code = `local ${node.names.join(', ')}`;
-        if (node.value) {
-          code += ` = ${this.generateCode(node.value)}`;
+        const types = node.types || [];
+        let code = `local ${node.names.map((name, i) => name + this.generateAnnotation(types[i])).join(', ')}`;
+        if (node.values.length > 0) {
+          code += ` = ${node.values.map(value => this.generateCode(value)).join(', ')}`;
         }
         return code;
       },
       
       LocalFunction: (node) => {
-        return `local function ${node.name}(${node.params.join(', ')})\n${this.generateCode(node.body)}\nend`;
+        return `local function ${node.name}${this.generateFunctionBody(node)}`;
       },
       
       Function: (node) => {
-        return `function ${node.name}(${node.params.join(', ')})\n${this.generateCode(node.body)}\nend`;
+        const name = this.generateCode(node.name) + (node.method ? `:${node.method}` : '');
+        return `function ${name}${this.generateFunctionBody(node)}`;
+      },
+      
+      FunctionExpression: (node) => {
+        return `function${this.generateFunctionBody(node)}`;
       },
       
       If: (node) => {
@@ -699,7 +1738,7 @@ export class LuauParser {
       },
       
       NumericFor: (node) => {
-        let code = `for ${node.variable} = ${this.generateCode(node.start)}, ${this.generateCode(node.end)}`;
+        let code = `for ${node.variable}${this.generateAnnotation(node.variableType)} = ${this.generateCode(node.start)}, ${this.generateCode(node.end)}`;
         if (node.step) {
           code += `, ${this.generateCode(node.step)}`;
         }
@@ -708,7 +1747,9 @@ export class LuauParser {
       },
       
       GenericFor: (node) => {
-        return `for ${node.variables.join(', ')} in ${node.expressions.map(exp => this.generateCode(exp)).join(', ')} do\n${this.generateCode(node.body)}\nend`;
+        const types = node.variableTypes || [];
+        const variables = node.variables.map((variable, i) => variable + this.generateAnnotation(types[i]));
+        return `for ${variables.join(', ')} in ${node.expressions.map(exp => this.generateCode(exp)).join(', ')} do\n${this.generateCode(node.body)}\nend`;
       },
       
       While: (node) => {
@@ -719,46 +1760,93 @@ export class LuauParser {
         return `repeat\n${this.generateCode(node.body)}\nuntil ${this.generateCode(node.condition)}`;
       },
       
+      Do: (node) => `do\n${this.generateCode(node.body)}\nend`,
+      
       Return: (node) => {
         if (node.expressions.length === 0) return 'return';
         return `return ${node.expressions.map(exp => this.generateCode(exp)).join(', ')}`;
       },
       
       Assignment: (node) => {
-        return `${this.generateCode(node.target)} = ${this.generateCode(node.value)}`;
+        const targets = node.targets.map(target => this.generateCode(target)).join(', ');
+        const values = node.values.map(value => this.generateCode(value)).join(', ');
+        return `${targets} = ${values}`;
       },
       
-      ExpressionStatement: (node) => this.generateCode(node.expression),
-      
       Break: () => 'break',
       
+      Continue: () => 'continue',
+      
+      CompoundAssignment: (node) => {
+        return `${this.generateCode(node.target)} ${node.operator}= ${this.generateCode(node.value)}`;
+      },
+      
       Call: (node) => {
         const args = node.arguments.map(arg => this.generateCode(arg)).join(', ');
-        return `${this.generateCode(node.function)}(${args})`;
+        return `${this.generatePrefix(node.function)}(${args})`;
       },
       
       MethodCall: (node) => {
         const args = node.arguments.map(arg => this.generateCode(arg)).join(', ');
-        return `${this.generateCode(node.object)}:${node.method}(${args})`;
+        return `${this.generatePrefix(node.object)}:${node.method}(${args})`;
       },
       
       BinaryOperation: (node) => {
-        return `${this.generateCode(node.left)} ${node.operator} ${this.generateCode(node.right)}`;
+        const left = this.generateOperand(node.left, node.operator, 'left');
+        const right = this.generateOperand(node.right, node.operator, 'right');
+        return `${left} ${node.operator} ${right}`;
       },
       
       UnaryOperation: (node) => {
-        return `${node.operator} ${this.generateCode(node.argument)}`;
+        const argument = this.generateCode(node.argument);
+        const wrap = node.argument.type === 'Raw' || node.argument.type === 'IfExpression' ||
+          (node.argument.type === 'BinaryOperation' && BINARY_PRECEDENCE.get(node.argument.operator) < UNARY_PRECEDENCE);
+        return `${node.operator} ${wrap ? `(${argument})` : argument}`;
       },
       
+      Paren: (node) => `(${this.generateCode(node.expression)})`,
+      
       Variable: (node) => node.name,
       
-      MemberAccess: (node) => `${this.generateCode(node.object)}.${node.member}`,
+      MemberAccess: (node) => `${this.generatePrefix(node.object)}.${node.member}`,
+      
+      IndexAccess: (node) => `${this.generatePrefix(node.object)}[${this.generateCode(node.index)}]`,
+      
+      Number: (node) => this.formatNumber(node.value),
       
-      IndexAccess: (node) => `${this.generateCode(node.object)}[${this.generateCode(node.index)}]`,
+      String: (node) => this.quoteString(node.value),
       
-      Number: (node) => node.value.toString(),
+      Nil: () => 'nil',
       
-      String: (node) => `"${node.value.replace(/"/g, '\\"')}"`,
+      Boolean: (node) => node.value ? 'true' : 'false',
+      
+      Vararg: () => '...',
+      
+      IfExpression: (node) => {
+        let code = `if ${this.generateCode(node.condition)} then ${this.generateCode(node.consequent)}`;
+        
+        node.elseIfs.forEach(elseif => {
+          code += ` elseif ${this.generateCode(elseif.condition)} then ${this.generateCode(elseif.value)}`;
+        });
+        
+        return `${code} else ${this.generateCode(node.alternate)}`;
+      },
+      
+      InterpolatedString: (node) => {
+        let code = '`';
+        
+        node.strings.forEach((string, i) => {
+          code += this.quoteString(string, '`').slice(1, -1);
+          
+          if (i < node.expressions.length) {
+            // Luau rejects `{{`, so separate a leading table constructor from the brace
+            const expression = this.generateCode(node.expressions[i]);
+            code += expression.startsWith('{') ? `{ ${expression}}` : `{${expression}}`;
+          }
+        });
+        
+        return code + '`';
+      },
       
       Table: (node) => {
         const fields = node.fields.map(field => {
@@ -773,6 +1861,87 @@ export class LuauParser {
         });
         
         return `{${fields.join(', ')}}`;
+      },
+      
+      // Pre-rendered Lua emitted by the engines
+      Raw: (node) => node.code,
+      
+      TypeAlias: (node) => {
+        if (!this.preserveTypes) return '';
+        const prefix = node.exported ? 'export type' : 'type';
+        return `${prefix} ${node.name}${this.generateGenerics(node.generics)} = ${this.generateCode(node.value)}`;
+      },
+      
+      TypeAssertion: (node) => {
+        if (this.preserveTypes) {
+          const expression = this.generateCode(node.expression);
+          const wrap = node.expression.type === 'IfExpression' || node.expression.type === 'Raw';
+          return `${wrap ? `(${expression})` : expression} :: ${this.generateCode(node.annotation)}`;
+        }
+        
+        // A cast truncates multiple results to one, so keep that when dropping it
+        const code = this.generateCode(node.expression);
+        const multiValue = ['Call', 'MethodCall', 'Vararg'].includes(node.expression.type);
+        return multiValue ? `(${code})` : code;
+      },
+      
+      TypeReference: (node) => {
+        const name = node.prefix ? `${node.prefix}.${node.name}` : node.name;
+        if (node.parameters.length === 0) return name;
+        return `${name}<${node.parameters.map(param => this.generateCode(param)).join(', ')}>`;
+      },
+      
+      TypeSingleton: (node) => typeof node.value === 'string' ? this.quoteString(node.value) : String(node.value),
+      
+      TypeTypeof: (node) => `typeof(${this.generateCode(node.expression)})`,
+      
+      TypeArray: (node) => `{ ${this.generateCode(node.element)} }`,
+      
+      TypeTable: (node) => {
+        const fields = node.props.map(prop => {
+          const access = prop.access ? `${prop.access} ` : '';
+          return `${access}${prop.name}: ${this.generateCode(prop.value)}`;
+        });
+        
+        if (node.indexer) {
+          const access = node.indexer.access ? `${node.indexer.access} ` : '';
+          fields.push(`${access}[${this.generateCode(node.indexer.key)}]: ${this.generateCode(node.indexer.value)}`);
+        }
+        
+        return `{ ${fields.join(', ')} }`;
+      },
+      
+      TypeFunction: (node) => {
+        const params = node.parameters.map(param => {
+          const annotation = this.generateCode(param.annotation);
+          return param.name ? `${param.name}: ${annotation}` : annotation;
+        });
+        
+        // Type generics are part of the type itself, so they are not subject to preserveTypes
+        const generics = node.generics.length > 0
+          ? `<${node.generics.map(generic => generic.name + (generic.pack ? '...' : '')).join(', ')}>`
+          : '';
+        
+        return `${generics}(${params.join(', ')}) -> ${this.generateCode(node.returns)}`;
+      },
+      
+      TypeUnion: (node) => node.types.map(type => this.generateCode(type)).join(' | '),
+      
+      TypeIntersection: (node) => node.types.map(type => this.generateCode(type)).join(' & '),
+      
+      TypeOptional: (node) => `${this.generateCode(node.base)}?`,
+      
+      TypeParen: (node) => `(${this.generateCode(node.inner)})`,
+      
+      TypeVariadic: (node) => `...${this.generateCode(node.element)}`,
+      
+      TypeGenericPack: (node) => `${node.name}...`,
+      
+      TypePackList: (node) => `(${node.types.map(type => this.generateCode(type)).join(', ')})`,
+      
+      ErrorNode: (node) => {
+        // Partial trees from recovery mode are for diagnostics only
+        throw new Error(`Cannot generate code from a tree with syntax errors: ${node.message}`);
       }
     };
     
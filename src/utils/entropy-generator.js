@@ -1,18 +1,44 @@
+import { createHash, randomBytes } from 'crypto';
+import { HmacDrbg } from './hmac-drbg.js';
+
+// Where keys, opcode tables and integrity constants come from; `xorshift` is the old shared stream
+export const KEY_ENTROPY_SOURCES = ['csprng', 'xorshift'];
+
+const LUAU_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
 export class EntropyGenerator {
-  constructor() {
-    this.seed = Date.now() ^ Math.random() * 0xFFFFFFFF;
-    this.state = this.seed;
+  constructor(options = {}) {
     this.grammars = [];
+    this.unicodeGrammars = [];
+    // Unicode names are not valid Luau, so they are only for targets that accept them
+    this.unicodeIdentifiers = options.unicodeIdentifiers || false;
+    // Every engine draws names from the same generator, so handing out each name once
+    // keeps injected locals from shadowing renamed ones
+    this.issuedIdentifiers = new Set();
+    
+    this.keyEntropy = options.keyEntropy || 'csprng';
+    if (!KEY_ENTROPY_SOURCES.includes(this.keyEntropy)) {
+      throw new Error(`Unknown key entropy source: ${this.keyEntropy}`);
+    }
+    
+    // Without a seed every generator gets a fresh random one; `seed` reports it so a build can be reproduced
+    this.setSeed(options.seed !== undefined ? options.seed : randomBytes(16).toString('hex'));
     this.initGrammars();
   }
 
   setSeed(seed) {
-    this.seed = seed;
-    this.state = seed;
+    // Equal seeds give equal streams; xorshift never leaves a zero state, so it is avoided
+    this.seed = String(seed);
+    this.state = createHash('sha256').update(this.seed).digest().readUInt32LE(0) || 1;
+    this.issuedIdentifiers.clear();
+    
+    // A separate keystream: names and layout drawn from xorshift reveal its state, never this one
+    this.drbg = new HmacDrbg(createHash('sha512').update('keys:' + this.seed).digest());
   }
 
   generateSessionId() {
-    const chars = '🜁🜂🜃🜄🜅🜆🜇⚕⚖⚗⚘⚙⚚⚛⚜';
+    // Spread into code points so astral symbols are never split into lone surrogates
+    const chars = [...'🜁🜂🜃🜄🜅🜆🜇⚕⚖⚗⚘⚙⚚⚛⚜'];
     let id = '';
     for (let i = 0; i < 8; i++) {
       id += chars[Math.floor(this.random() * chars.length)];
@@ -21,7 +47,7 @@ export class EntropyGenerator {
   }
 
   generateSeed() {
-    return (Date.now() ^ Math.random() * 0xFFFFFFFF) >>> 0;
+    return Math.floor(this.random() * 0x100000000) >>> 0;
   }
 
   random() {
@@ -29,16 +55,71 @@ export class EntropyGenerator {
     this.state ^= this.state << 13;
     this.state ^= this.state >> 17;
     this.state ^= this.state << 5;
-    return (this.state >>> 0) / 0xFFFFFFFF;
+    return (this.state >>> 0) / 0x100000000;
   }
 
   randomInt(min, max) {
     return Math.floor(this.random() * (max - min + 1)) + min;
   }
 
+  secureInt(min, max) {
+    if (this.keyEntropy === 'xorshift') return this.randomInt(min, max);
+    
+    // Rejection sampling keeps every value in the range equally likely
+    const range = max - min + 1;
+    const limit = 0x100000000 - (0x100000000 % range);
+    let value;
+    do {
+      value = this.drbg.uint32();
+    } while (value >= limit);
+    
+    return min + (value % range);
+  }
+
+  secureShuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.secureInt(0, i);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
   initGrammars() {
-    // Multiple naming grammars
+    // Look-alike ASCII naming grammars; every name matches [A-Za-z_][A-Za-z0-9_]*
     this.grammars = [
+      {
+        prefix: ['l', 'I', 'Il', 'lI'],
+        suffix: ['', 'l', 'I', '1'],
+        charset: 'lI1',
+        min: 6,
+        max: 14
+      },
+      {
+        prefix: ['_O', '_0', 'O', 'O_'],
+        suffix: ['', '_', 'O', '0'],
+        charset: 'O0',
+        min: 6,
+        max: 12
+      },
+      {
+        // Letter pairs that read as a single letter in most fonts
+        prefix: ['rn', 'vv', 'cl', 'nn'],
+        suffix: ['', 'm', 'w', 'd'],
+        charset: ['rn', 'm', 'vv', 'w', 'cl', 'd', 'ii', 'u', 'n'],
+        min: 4,
+        max: 8
+      },
+      {
+        prefix: ['_', '__', 'S', 'Z'],
+        suffix: ['', '_', '__'],
+        charset: 'S5Z2B8_',
+        min: 6,
+        max: 12
+      }
+    ];
+    
+    // Multiple Unicode naming grammars
+    this.unicodeGrammars = [
       {
         prefix: ['ɸ', 'ϟ', 'ϙ', 'ϗ', 'Ϙ'],
         suffix: ['ꝏ', 'ꝑ', 'ꝓ', 'ꝕ', 'ꝗ'],
@@ -64,16 +145,31 @@ export class EntropyGenerator {
   }
 
   generateIdentifier() {
-    const grammar = this.grammars[this.randomInt(0, this.grammars.length - 1)];
-    const length = this.randomInt(grammar.min, grammar.max);
+    let name;
+    do {
+      name = this.unicodeIdentifiers ? this.generateUnicodeIdentifier() : this.generateLuauIdentifier();
+    } while (this.issuedIdentifiers.has(name));
     
-    let name = this.randomChoice(grammar.prefix);
+    this.issuedIdentifiers.add(name);
+    return name;
+  }
+
+  generateLuauIdentifier() {
+    let name = this.buildName(this.randomChoice(this.grammars));
     
-    for (let i = 0; i < length; i++) {
-      name += grammar.charset[this.randomInt(0, grammar.charset.length - 1)];
+    // Randomly apply transformations
+    if (this.random() > 0.5) {
+      name = this.applyLuauTransforms(name);
     }
     
-    name += this.randomChoice(grammar.suffix);
+    if (!LUAU_IDENTIFIER.test(name)) {
+      throw new Error(`Generated identifier is not valid Luau: ${name}`);
+    }
+    return name;
+  }
+
+  generateUnicodeIdentifier() {
+    let name = this.buildName(this.randomChoice(this.unicodeGrammars));
     
     // Randomly apply transformations
     if (this.random() > 0.5) {
@@ -83,10 +179,40 @@ export class EntropyGenerator {
     return name;
   }
 
+  buildName(grammar) {
+    const length = this.randomInt(grammar.min, grammar.max);
+    
+    let name = this.randomChoice(grammar.prefix);
+    
+    for (let i = 0; i < length; i++) {
+      name += grammar.charset[this.randomInt(0, grammar.charset.length - 1)];
+    }
+    
+    return name + this.randomChoice(grammar.suffix);
+  }
+
   randomChoice(arr) {
     return arr[this.randomInt(0, arr.length - 1)];
   }
 
+  applyLuauTransforms(str) {
+    const transforms = [
+      // Reversing may bring a digit to the front, which an underscore makes legal again
+      s => s.split('').reverse().join('').replace(/^(?=\d)/, '_'),
+      s => s.replace(/[a-z]/g, c => this.random() > 0.5 ? c : c.toUpperCase()),
+      s => s + '_' + this.randomInt(100, 999),
+      s => '_' + s + '_'
+    ];
+    
+    let result = str;
+    const numTransforms = this.randomInt(1, 3);
+    for (let i = 0; i < numTransforms; i++) {
+      result = transforms[this.randomInt(0, transforms.length - 1)](result);
+    }
+    
+    return result;
+  }
+
   applyTransforms(str) {
     const transforms = [
       s => s.split('').reverse().join(''),
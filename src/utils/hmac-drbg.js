@@ -0,0 +1,69 @@
+import { createHmac } from 'crypto';
+
+const OUTLEN = 32;
+// SP 800-90A caps a single HMAC_DRBG instance at 2^48 requests; far beyond one build
+const RESEED_INTERVAL = 2 ** 48;
+
+// HMAC_DRBG with SHA-256 (NIST SP 800-90A). The same seed material always yields the
+// same stream, but the stream reveals nothing about the seed or about later output
+export class HmacDrbg {
+  constructor(seedMaterial) {
+    if (!Buffer.isBuffer(seedMaterial) || seedMaterial.length < 32) {
+      throw new Error('HMAC_DRBG needs at least 32 bytes of seed material');
+    }
+    
+    this.key = Buffer.alloc(OUTLEN, 0x00);
+    this.value = Buffer.alloc(OUTLEN, 0x01);
+    this.update(seedMaterial);
+    this.reseedCounter = 1;
+    
+    // Output is drawn in blocks and handed out a few bytes at a time
+    this.pool = Buffer.alloc(0);
+  }
+
+  hmac(...parts) {
+    const mac = createHmac('sha256', this.key);
+    parts.forEach(part => mac.update(part));
+    return mac.digest();
+  }
+
+  update(data) {
+    this.key = this.hmac(this.value, Buffer.from([0x00]), data || Buffer.alloc(0));
+    this.value = this.hmac(this.value);
+    
+    if (data && data.length > 0) {
+      this.key = this.hmac(this.value, Buffer.from([0x01]), data);
+      this.value = this.hmac(this.value);
+    }
+  }
+
+  generate(length) {
+    if (this.reseedCounter > RESEED_INTERVAL) {
+      throw new Error('HMAC_DRBG reseed required');
+    }
+    
+    const blocks = [];
+    for (let produced = 0; produced < length; produced += OUTLEN) {
+      this.value = this.hmac(this.value);
+      blocks.push(this.value);
+    }
+    
+    this.update();
+    this.reseedCounter++;
+    return Buffer.concat(blocks).subarray(0, length);
+  }
+
+  bytes(length) {
+    if (this.pool.length < length) {
+      this.pool = Buffer.concat([this.pool, this.generate(Math.max(length, 256))]);
+    }
+    
+    const result = this.pool.subarray(0, length);
+    this.pool = this.pool.subarray(length);
+    return result;
+  }
+
+  uint32() {
+    return this.bytes(4).readUInt32LE(0);
+  }
+}
\ No newline at end of file
@@ -1,3 +1,14 @@
+const UINT32 = 0x100000000;
+const MBA_TOKEN = /\s*(0x[\da-fA-F]+|\d+|[A-Za-z_]\w*|==|~=|!=|[-+^&|~()])/y;
+const CHAIN_WIDTHS = [8, 16, 32];
+const CHAIN_STEPS = ['xor', 'affine', 'rotate', 'sbox', 'feistel'];
+// Every round rewrites the copies the previous one made, so size grows geometrically: `a & b | c`
+// is a few kilobytes after two rounds and hundreds after three
+const MBA_MAX_DEPTH = 2;
+const MBA_COMPARISONS = { '==': 'eq', '~=': 'ne', '!=': 'ne' };
+// Binary levels from loosest to tightest; `^` is xor as in JS, not Lua's power
+const MBA_LEVELS = [{ '|': 'or' }, { '^': 'xor' }, { '&': 'and' }, { '+': 'add', '-': 'sub' }];
+
 export class MathTransforms {
   constructor(entropy) {
     this.entropy = entropy;
@@ -37,18 +48,6 @@ export class MathTransforms {
     };
   }
 
-  nonLinearTransform(value, seed = 0) {
-    // Chaotic map transformation
-    const r = 3.9 + (seed % 0.1);
-    let x = value / 256;
-    
-    for (let i = 0; i < 10; i++) {
-      x = r * x * (1 - x);
-    }
-    
-    return Math.floor(x * 256) % 256;
-  }
-
   modularInverse(a, m = 256) {
     // Extended Euclidean algorithm
     let [old_r, r] = [a, m];
@@ -85,13 +84,6 @@ export class MathTransforms {
     return inverse;
   }
 
-  chaoticMapIterate(x, r, iterations = 10) {
-    for (let i = 0; i < iterations; i++) {
-      x = r * x * (1 - x);
-    }
-    return x;
-  }
-
   generateSBox(size = 256) {
     const sbox = new Array(size);
     const permutation = this.generatePermutation(size);
@@ -127,160 +119,511 @@ export class MathTransforms {
     }
     return inverse;
   }
-
-  polynomialTransform(value, coefficients) {
-    let result = 0;
-    for (let i = 0; i < coefficients.length; i++) {
-      result += coefficients[i] * Math.pow(value, i);
+  
+  // A chain is a random sequence of bijections on `width`-bit words. Every chain is checked
+  // against its JS inverse before it is handed out
+  generateTransformChain(length = 5, width = 8) {
+    if (!CHAIN_WIDTHS.includes(width)) {
+      throw new Error(`Transform chains work on ${CHAIN_WIDTHS.join(', ')}-bit words, not ${width}`);
+    }
+    
+    const steps = [];
+    for (let i = 0; i < length; i++) {
+      steps.push(this.generateTransformStep(CHAIN_STEPS[this.entropy.secureInt(0, CHAIN_STEPS.length - 1)], width));
+    }
+    
+    // Affine maps, rotations and XOR compose into something linear; keep one non-linear step
+    if (!steps.some(step => step.type === 'sbox' || step.type === 'feistel')) {
+      steps.splice(this.entropy.secureInt(0, steps.length), 0, this.generateTransformStep('sbox', width));
     }
-    return result % 256;
+    
+    const chain = { width, steps };
+    if (!this.verifyTransformChain(chain)) {
+      throw new Error('Generated transform chain does not invert');
+    }
+    return chain;
   }
 
-  generateCoefficients(degree) {
-    const coeffs = [];
-    for (let i = 0; i <= degree; i++) {
-      coeffs.push(this.entropy.randomInt(1, 255));
+  generateTransformStep(type, width) {
+    const modulus = 2 ** width;
+    
+    switch (type) {
+      case 'xor':
+        return { type, key: this.entropy.secureInt(1, modulus - 1) };
+      case 'affine': {
+        // Odd multipliers are exactly the units modulo 2^n
+        const multiplier = this.entropy.secureInt(0, modulus / 2 - 1) * 2 + 1;
+        return {
+          type,
+          multiplier,
+          inverse: this.modularInverse(multiplier, modulus),
+          offset: this.entropy.secureInt(0, modulus - 1)
+        };
+      }
+      case 'rotate':
+        return { type, amount: this.entropy.secureInt(1, width - 1) };
+      case 'sbox': {
+        // Words wider than a byte go through the table one byte at a time
+        const table = this.entropy.secureShuffle(Array.from({ length: 256 }, (_, i) => i));
+        return { type, table, inverse: this.generateInverseSBox(table) };
+      }
+      case 'feistel': {
+        const half = 2 ** (width / 2);
+        const rounds = [];
+        for (let i = this.entropy.secureInt(2, 4); i > 0; i--) {
+          rounds.push({
+            key: this.entropy.secureInt(0, half - 1),
+            multiplier: this.entropy.secureInt(1, half - 1),
+            offset: this.entropy.secureInt(0, half - 1)
+          });
+        }
+        return { type, rounds };
+      }
     }
-    return coeffs;
+    throw new Error(`Unknown transform type: ${type}`);
   }
 
-  customModulus(value, modulus) {
-    // Non-standard modulus operation
-    const quotient = Math.floor(value / modulus);
-    const remainder = value - quotient * modulus;
+  applyTransformChain(value, chain) {
+    return chain.steps.reduce((result, step) => this.applyTransformStep(result, step, chain.width, false), value);
+  }
+
+  invertTransformChain(value, chain) {
+    return chain.steps.reduceRight((result, step) => this.applyTransformStep(result, step, chain.width, true), value);
+  }
+
+  applyTransformStep(value, step, width, inverse) {
+    const modulus = 2 ** width;
     
-    // Apply chaotic adjustment
-    const adjustment = Math.floor(this.chaoticMapIterate(remainder / modulus, 3.9) * 10);
-    return (remainder + adjustment) % modulus;
+    switch (step.type) {
+      case 'xor':
+        return (value ^ step.key) >>> 0;
+      case 'affine':
+        return inverse
+          ? this.multiplyModulo((value - step.offset + modulus) % modulus, step.inverse, width)
+          : (this.multiplyModulo(value, step.multiplier, width) + step.offset) % modulus;
+      case 'rotate':
+        return this.rotateLeft(value, inverse ? width - step.amount : step.amount, width);
+      case 'sbox': {
+        const table = inverse ? step.inverse : step.table;
+        let result = 0;
+        for (let shift = 0; shift < width; shift += 8) {
+          result += table[Math.floor(value / 2 ** shift) % 256] * 2 ** shift;
+        }
+        return result;
+      }
+      case 'feistel': {
+        const half = 2 ** (width / 2);
+        let left = Math.floor(value / half);
+        let right = value % half;
+        
+        if (inverse) {
+          [...step.rounds].reverse().forEach(round => {
+            [left, right] = [(right ^ this.feistelRound(left, round, half)) >>> 0, left];
+          });
+        } else {
+          step.rounds.forEach(round => {
+            [left, right] = [right, (left ^ this.feistelRound(right, round, half)) >>> 0];
+          });
+        }
+        return left * half + right;
+      }
+    }
+    throw new Error(`Unknown transform type: ${step.type}`);
+  }
+  
+  // The round function need not be invertible; with half-words of at most 16 bits the product
+  // stays below 2^32, so Lua computes it exactly
+  feistelRound(value, round, half) {
+    return (((value ^ round.key) >>> 0) * round.multiplier + round.offset) % half;
+  }
+
+  multiplyModulo(value, multiplier, width) {
+    return (Math.imul(value, multiplier) >>> 0) % 2 ** width;
+  }
+
+  rotateLeft(value, amount, width) {
+    amount %= width;
+    if (amount === 0) return value;
+    return ((value * 2 ** amount) % 2 ** width) + Math.floor(value / 2 ** (width - amount));
   }
 
-  bitwiseTransform(value, rounds = 3) {
-    let result = value;
+  verifyTransformChain(chain, trials = 4096) {
+    const modulus = 2 ** chain.width;
     
-    for (let i = 0; i < rounds; i++) {
-      // Non-linear bit operations
-      const shift = (i * 7) % 8;
-      const mask = this.entropy.randomInt(1, 255);
-      
-      result = ((result << shift) | (result >> (8 - shift))) & 0xFF;
-      result = result ^ mask;
-      result = ((result & 0x0F) << 4) | ((result & 0xF0) >> 4);
-      result = (result + 0x99) & 0xFF;
+    // Narrow chains are checked exhaustively; 32-bit ones at the edges and at random
+    const values = chain.width <= 16
+      ? Array.from({ length: modulus }, (_, i) => i)
+      : [0, 1, 0x7FFFFFFF, 0x80000000, 0xFFFFFFFF, ...Array.from({ length: trials }, () => this.entropy.randomInt(0, 0xFFFFFFFF))];
+    
+    return values.every(value => {
+      const encoded = this.applyTransformChain(value, chain);
+      return Number.isInteger(encoded) && encoded >= 0 && encoded < modulus && this.invertTransformChain(encoded, chain) === value;
+    });
+  }
+  
+  // Luau source for a function expression that undoes the chain, mirroring invertTransformChain
+  generateInverseChain(chain) {
+    const width = chain.width;
+    const modulus = 2 ** width;
+    const tables = [];
+    const body = [];
+    
+    [...chain.steps].reverse().forEach(step => {
+      switch (step.type) {
+        case 'xor':
+          body.push(`x = bit32.bxor(x, ${step.key})`);
+          break;
+        case 'affine':
+          body.push(`x = (x - ${step.offset}) % ${modulus}`);
+          if (width <= 16) {
+            body.push(`x = x * ${step.inverse} % ${modulus}`);
+          } else {
+            // Split the multiplier so no product reaches 2^53 where doubles lose precision
+            body.push(`x = (x * ${step.inverse % 65536} + x * ${Math.floor(step.inverse / 65536)} % 65536 * 65536) % ${modulus}`);
+          }
+          break;
+        case 'rotate':
+          body.push(width === 32
+            ? `x = bit32.rrotate(x, ${step.amount})`
+            : `x = bit32.bor(bit32.rshift(x, ${step.amount}), bit32.band(bit32.lshift(x, ${width - step.amount}), ${modulus - 1}))`);
+          break;
+        case 'sbox': {
+          const name = this.entropy.generateIdentifier();
+          tables.push(`local ${name} = {${step.inverse.join(',')}}`);
+          if (width === 8) {
+            body.push(`x = ${name}[x + 1]`);
+            break;
+          }
+          const bytes = [];
+          for (let shift = 0; shift < width; shift += 8) {
+            const lookup = `${name}[bit32.extract(x, ${shift}, 8) + 1]`;
+            bytes.push(shift === 0 ? lookup : `bit32.lshift(${lookup}, ${shift})`);
+          }
+          body.push(`x = bit32.bor(${bytes.join(', ')})`);
+          break;
+        }
+        case 'feistel': {
+          const half = 2 ** (width / 2);
+          const rounds = [...step.rounds].reverse().map(round =>
+            `  l, r = bit32.bxor(r, (bit32.bxor(l, ${round.key}) * ${round.multiplier} + ${round.offset}) % ${half}), l`);
+          body.push(`do\n  local l, r = bit32.rshift(x, ${width / 2}), bit32.band(x, ${half - 1})\n${rounds.join('\n')}\n  x = l * ${half} + r\nend`);
+          break;
+        }
+      }
+    });
+    
+    const indent = (code, depth) => code.split('\n').map(line => ' '.repeat(depth) + line);
+    return [
+      '(function()',
+      ...tables.flatMap(table => indent(table, 2)),
+      '  return function(x)',
+      ...body.flatMap(statement => indent(statement, 4)),
+      '    return x',
+      '  end',
+      'end)()'
+    ].join('\n');
+  }
+  
+  // Rewrites a numeric literal as a Lua expression; `value` is what the expression evaluates to,
+  // computed the way Lua does, so callers can check it against the literal before using it
+  encodeNumber(value) {
+    const encodings = [];
+    
+    if (Number.isInteger(value) && value >= 0 && value < 0x80000000) {
+      encodings.push(() => this.encodeXor(value), () => this.encodeMixedSum(value));
+      if (value <= 48) {
+        encodings.push(() => this.encodeStringLength(value));
+      }
+    }
+    if (Number.isSafeInteger(value)) {
+      encodings.push(() => this.encodeAffine(value));
+    } else if (Number.isFinite(value)) {
+      encodings.push(() => this.encodeScaled(value));
     }
+    encodings.push(() => this.encodeTableLookup(value));
     
-    return result;
+    return this.entropy.randomChoice(encodings)();
   }
 
-  fibonacciScramble(value, n = 10) {
-    // Use Fibonacci sequence for scrambling
-    let a = 1, b = 1;
-    let result = value;
-    
-    for (let i = 0; i < n; i++) {
-      const fib = (a + b) % 256;
-      result = (result ^ fib) & 0xFF;
-      a = b;
-      b = fib;
+  encodeXor(value) {
+    const mask = this.entropy.randomInt(1, 0x7FFFFFFF);
+    const masked = (value ^ mask) >>> 0;
+    
+    return { code: `bit32.bxor(${masked}, ${mask})`, value: (masked ^ mask) >>> 0 };
+  }
+
+  encodeMixedSum(value) {
+    const x = this.entropy.randomInt(0, value);
+    const { code, tree } = this.generateMba(`${x} + ${value - x}`, { depth: 1 });
+    
+    return { code, value: this.evaluateMba(tree, {}) };
+  }
+
+  encodeStringLength(value) {
+    const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let filler = '';
+    for (let i = 0; i < value; i++) {
+      filler += charset[this.entropy.randomInt(0, charset.length - 1)];
     }
     
-    return result;
+    return { code: `#"${filler}"`, value: filler.length };
   }
 
-  generateTransformChain(length = 5) {
-    const transforms = [
-      'nonLinear',
-      'bitwise',
-      'polynomial',
-      'fibonacci',
-      'chaotic'
-    ];
-    
-    // Randomly select transforms
-    const selected = [];
-    for (let i = 0; i < length; i++) {
-      const transform = transforms[this.entropy.randomInt(0, transforms.length - 1)];
-      selected.push({
-        type: transform,
-        params: this.generateTransformParams(transform)
-      });
+  encodeAffine(value) {
+    const factor = this.entropy.randomChoice(this.primes.slice(0, 25));
+    const quotient = Math.floor(value / factor);
+    const remainder = value - quotient * factor;
+    
+    return { code: `${quotient} * ${factor} + ${remainder}`, value: quotient * factor + remainder };
+  }
+
+  encodeScaled(value) {
+    // Scaling by a power of two only moves the exponent, so it is exact unless it overflows
+    const scale = 2 ** this.entropy.randomInt(1, 16);
+    const scaled = value * scale;
+    
+    return { code: `${scaled} / ${scale}`, value: Number.isFinite(scaled) ? scaled / scale : NaN };
+  }
+
+  encodeTableLookup(value) {
+    const size = this.entropy.randomInt(2, 5);
+    const position = this.entropy.randomInt(1, size);
+    const entries = [];
+    
+    for (let i = 1; i <= size; i++) {
+      entries.push(i === position ? this.formatNumber(value) : String(this.entropy.randomInt(0, 0xFFFF)));
     }
     
-    return selected;
+    return { code: `({${entries.join(', ')}})[${position}]`, value: value };
   }
 
-  generateTransformParams(transformType) {
-    switch (transformType) {
-      case 'nonLinear':
-        return { seed: this.entropy.randomInt(0, 1000) };
-      case 'bitwise':
-        return { rounds: this.entropy.randomInt(2, 5) };
-      case 'polynomial':
-        return { 
-          coefficients: this.generateCoefficients(this.entropy.randomInt(2, 5))
-        };
-      case 'fibonacci':
-        return { n: this.entropy.randomInt(5, 20) };
-      case 'chaotic':
-        return { 
-          r: 3.7 + this.entropy.random() * 0.2,
-          iterations: this.entropy.randomInt(5, 15)
-        };
-      default:
-        return {};
+  formatNumber(value) {
+    if (Number.isNaN(value)) return '(0/0)';
+    if (value === Infinity) return '(1/0)';
+    return value.toString();
+  }
+  
+  // Mixed boolean-arithmetic rewriting over unsigned 32-bit values. Accepts expressions such
+  // as `a + b`, `x ~= 3` or `~a & (b | 0xFF)`; identifiers stand for Lua expressions that
+  // evaluate to integers in [0, 2^32), taken from `variables` or used as written. `depth` is the
+  // number of rewriting rounds, an integer from 0 to MBA_MAX_DEPTH
+  generateMba(source, options = {}) {
+    const depth = options.depth ?? 1;
+    if (!Number.isInteger(depth) || depth < 0 || depth > MBA_MAX_DEPTH) {
+      throw new RangeError(`MBA depth must be an integer from 0 to ${MBA_MAX_DEPTH}, not ${depth}`);
+    }
+    const original = this.parseMba(source);
+    const rewritten = this.rewriteMba(original, depth);
+    
+    if (!this.verifyMba(original, rewritten, options.trials)) {
+      throw new Error(`MBA rewrite of "${source}" is not equivalent`);
     }
+    
+    return {
+      code: this.emitMba(rewritten, options.variables || {}),
+      tree: rewritten
+    };
   }
 
-  applyTransformChain(value, chain) {
-    let result = value;
+  parseMba(source) {
+    const tokens = [];
+    MBA_TOKEN.lastIndex = 0;
+    while (MBA_TOKEN.lastIndex < source.trimEnd().length) {
+      const match = MBA_TOKEN.exec(source);
+      if (!match) {
+        throw new Error(`Unexpected character in MBA expression: ${source.slice(MBA_TOKEN.lastIndex)}`);
+      }
+      tokens.push(match[1]);
+    }
     
-    for (const transform of chain) {
-      switch (transform.type) {
-        case 'nonLinear':
-          result = this.nonLinearTransform(result, transform.params.seed);
-          break;
-        case 'bitwise':
-          result = this.bitwiseTransform(result, transform.params.rounds);
-          break;
-        case 'polynomial':
-          result = this.polynomialTransform(result, transform.params.coefficients);
-          break;
-        case 'fibonacci':
-          result = this.fibonacciScramble(result, transform.params.n);
-          break;
-        case 'chaotic':
-          const normalized = result / 256;
-          const chaotic = this.chaoticMapIterate(
-            normalized, 
-            transform.params.r, 
-            transform.params.iterations
-          );
-          result = Math.floor(chaotic * 256) % 256;
-          break;
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    
+    const parseBinary = (level) => {
+      if (level === MBA_LEVELS.length) return parseUnary();
+      
+      let left = parseBinary(level + 1);
+      while (Object.hasOwn(MBA_LEVELS[level], peek() ?? '')) {
+        const op = MBA_LEVELS[level][next()];
+        left = { op, args: [left, parseBinary(level + 1)] };
+      }
+      return left;
+    };
+    
+    const parseUnary = () => {
+      if (peek() === '~') {
+        next();
+        return { op: 'not', args: [parseUnary()] };
+      }
+      if (peek() === '-') {
+        next();
+        return { op: 'neg', args: [parseUnary()] };
+      }
+      
+      const token = next();
+      if (token === '(') {
+        const inner = parseBinary(0);
+        if (next() !== ')') throw new Error('Expected ) in MBA expression');
+        return inner;
       }
+      if (/^(0x[\da-fA-F]+|\d+)$/.test(token)) {
+        return { op: 'const', value: Number(token) % UINT32 };
+      }
+      if (/^[A-Za-z_]\w*$/.test(token || '')) {
+        return { op: 'var', name: token };
+      }
+      throw new Error(`Unexpected ${token === undefined ? 'end' : token} in MBA expression`);
+    };
+    
+    let tree = parseBinary(0);
+    if (Object.hasOwn(MBA_COMPARISONS, peek() ?? '')) {
+      tree = { op: MBA_COMPARISONS[next()], args: [tree, parseBinary(0)] };
+    }
+    if (position < tokens.length) {
+      throw new Error(`Unexpected ${peek()} in MBA expression`);
+    }
+    return tree;
+  }
+  
+  // Each round replaces every operation, including those introduced by the previous round
+  rewriteMba(node, depth) {
+    for (let round = 0; round < depth; round++) {
+      node = this.rewriteMbaNode(node);
+    }
+    return node;
+  }
+
+  rewriteMbaNode(node) {
+    // Constants introduced by a rewrite are left alone, or every round would multiply them
+    if (node.op === 'var' || node.generated) return node;
+    
+    const constant = value => ({ op: 'const', value: ((value % UINT32) + UINT32) % UINT32, generated: true });
+    const op = (name, ...args) => ({ op: name, args });
+    const twice = value => op('mul', constant(2), value);
+    
+    if (node.op === 'const') {
+      const mask = this.entropy.randomInt(0, 0xFFFFFFFF);
+      return this.entropy.randomChoice([
+        () => op('xor', constant(mask), constant(node.value ^ mask)),
+        () => op('add', constant(mask), constant(node.value - mask))
+      ])();
+    }
+    
+    // a == b exactly when a - b is 0 modulo 2^32
+    if (node.op === 'eq' || node.op === 'ne') {
+      const [left, right] = node.args;
+      const difference = right.op === 'const' && right.value === 0 ? left : op('sub', left, right);
+      return op(node.op, this.rewriteMbaNode(difference), constant(0));
     }
     
-    return result;
+    const [x, y] = node.args.map(arg => this.rewriteMbaNode(arg));
+    const identities = {
+      add: [
+        () => op('add', op('xor', x, y), twice(op('and', x, y))),
+        () => op('add', op('or', x, y), op('and', x, y)),
+        () => op('sub', twice(op('or', x, y)), op('xor', x, y))
+      ],
+      sub: [
+        () => op('sub', op('xor', x, y), twice(op('and', op('not', x), y))),
+        () => op('sub', op('and', x, op('not', y)), op('and', op('not', x), y)),
+        () => op('add', op('add', x, op('not', y)), constant(1))
+      ],
+      xor: [
+        () => op('sub', op('or', x, y), op('and', x, y)),
+        () => op('sub', op('add', x, y), twice(op('and', x, y)))
+      ],
+      and: [
+        () => op('sub', op('add', x, y), op('or', x, y)),
+        () => op('sub', op('or', x, y), op('xor', x, y))
+      ],
+      or: [
+        () => op('sub', op('add', x, y), op('and', x, y)),
+        () => op('add', op('xor', x, y), op('and', x, y))
+      ],
+      not: [
+        () => op('sub', op('neg', x), constant(1)),
+        () => op('xor', x, constant(0xFFFFFFFF))
+      ],
+      neg: [
+        () => op('add', op('not', x), constant(1))
+      ],
+      mul: [
+        () => op('mul', node.args[0], y)
+      ]
+    };
+    
+    return this.entropy.randomChoice(identities[node.op])();
+  }
+  
+  // Reference semantics of the emitted Lua: every intermediate value is reduced modulo 2^32
+  evaluateMba(node, env) {
+    const value = arg => this.evaluateMba(arg, env);
+    
+    switch (node.op) {
+      case 'var': return env[node.name] >>> 0;
+      case 'const': return node.value;
+      case 'not': return (~value(node.args[0])) >>> 0;
+      case 'neg': return (UINT32 - value(node.args[0])) % UINT32;
+      case 'add': return (value(node.args[0]) + value(node.args[1])) % UINT32;
+      case 'sub': return (value(node.args[0]) - value(node.args[1]) + UINT32) % UINT32;
+      case 'mul': return Number((BigInt(value(node.args[0])) * BigInt(value(node.args[1]))) % BigInt(UINT32));
+      case 'xor': return (value(node.args[0]) ^ value(node.args[1])) >>> 0;
+      case 'and': return (value(node.args[0]) & value(node.args[1])) >>> 0;
+      case 'or': return (value(node.args[0]) | value(node.args[1])) >>> 0;
+      case 'eq': return value(node.args[0]) === value(node.args[1]);
+      case 'ne': return value(node.args[0]) !== value(node.args[1]);
+    }
+    throw new Error(`Unknown MBA operation: ${node.op}`);
   }
 
-  generateInverseChain(chain) {
-    // Generate inverse transformations
-    const inverseChain = [];
+  verifyMba(original, rewritten, trials = 256) {
+    const names = new Set();
+    const collect = node => {
+      if (node.op === 'var') names.add(node.name);
+      (node.args || []).forEach(collect);
+    };
+    collect(original);
     
-    for (let i = chain.length - 1; i >= 0; i--) {
-      const transform = chain[i];
-      const inverse = { ...transform };
+    // Edge values first, then random ones; a constant expression only needs one look
+    const edges = [0, 1, 2, 0x7FFFFFFF, 0x80000000, 0xFFFFFFFE, 0xFFFFFFFF];
+    const rounds = names.size === 0 ? 1 : trials;
+    for (let trial = 0; trial < rounds; trial++) {
+      const env = {};
+      names.forEach(name => {
+        env[name] = trial < edges.length ? edges[(trial + name.length) % edges.length] : this.entropy.randomInt(0, 0xFFFFFFFF);
+      });
       
-      // Some transforms are their own inverse
-      if (transform.type === 'bitwise') {
-        inverse.params.rounds = transform.params.rounds;
-      } else if (transform.type === 'fibonacci') {
-        inverse.params.n = transform.params.n;
+      // Comparisons against constants are rarely true at random, so check the equal case too
+      if (trial % 2 === 1 && (original.op === 'eq' || original.op === 'ne') && original.args[0].op === 'var') {
+        env[original.args[0].name] = this.evaluateMba(original.args[1], env);
       }
-      // Others need special inversion logic
       
-      inverseChain.push(inverse);
+      if (this.evaluateMba(original, env) !== this.evaluateMba(rewritten, env)) {
+        return false;
+      }
     }
+    return true;
+  }
+
+  emitMba(node, variables) {
+    const emit = arg => this.emitMba(arg, variables);
     
-    return inverseChain;
+    switch (node.op) {
+      case 'var': return variables[node.name] ?? node.name;
+      case 'const': return String(node.value);
+      case 'not': return `bit32.bnot(${emit(node.args[0])})`;
+      case 'neg': return `(4294967296 - ${emit(node.args[0])}) % 4294967296`;
+      case 'add': return `(${emit(node.args[0])} + ${emit(node.args[1])}) % 4294967296`;
+      case 'sub': return `(${emit(node.args[0])} - ${emit(node.args[1])}) % 4294967296`;
+      // Only small constant factors are generated, so the product stays exact in a double
+      case 'mul': return `(${emit(node.args[0])} * ${emit(node.args[1])}) % 4294967296`;
+      case 'xor': return `bit32.bxor(${emit(node.args[0])}, ${emit(node.args[1])})`;
+      case 'and': return `bit32.band(${emit(node.args[0])}, ${emit(node.args[1])})`;
+      case 'or': return `bit32.bor(${emit(node.args[0])}, ${emit(node.args[1])})`;
+      case 'eq': return `${emit(node.args[0])} == ${emit(node.args[1])}`;
+      case 'ne': return `${emit(node.args[0])} ~= ${emit(node.args[1])}`;
+    }
+    throw new Error(`Unknown MBA operation: ${node.op}`);
   }
 }
\ No newline at end of file
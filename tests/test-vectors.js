@@ -323,6 +323,274 @@ while state.counter < 100 do
     end
   end
 end
+`,
+  
+  // Names that are also Object.prototype properties in JS
+  prototypeNames: `
+local b = 5
+local y = b
+toString = 5
+local x = y
+constructor = 1
+local valueOf = { hasOwnProperty = 2 }
+print(y, toString, x, constructor, valueOf.hasOwnProperty)
+`,
+  
+  typeAnnotations: `
+--!strict
+export type Vector = { x: number, y: number }
+type Callback<T...> = (T...) -> ()
+type Inventory = {
+  items: { string },
+  counts: { [string]: number },
+  owner: Player?,
+  onChange: ((item: string, delta: number) -> boolean)?
+}
+
+local origin: Vector = { x = 0, y = 0 }
+local label: "idle" | "running" = "idle"
+
+local function length(v: Vector): number
+  return math.sqrt(v.x * v.x + v.y * v.y)
+end
+
+local function map<T, U>(list: { T }, fn: (T) -> U): { U }
+  local result: { U } = {}
+  for i: number, value: T in ipairs(list) do
+    result[i] = fn(value)
+  end
+  return result
+end
+
+local function first(...: number): (number, ...number)
+  return ...
+end
+
+local sample: typeof(origin) = { x = 3, y = 4 }
+local lengths = map({ origin, sample }, length)
+local anyValue = (lengths[2] :: any) :: number
+
+print(label, anyValue, first(1, 2, 3))
+`,
+  
+  luauSyntax: `
+local total = 0
+local log = ""
+
+for i = 1, 10 do
+  if i % 3 == 0 then
+    continue
+  end
+  total += i
+  total //= 1
+  log ..= \`{i},\`
+end
+
+local parity = if total % 2 == 0 then "even" elseif total < 0 then "negative" else "odd"
+local report = \`total {total} is {parity}, log: {log} \\{literal}\`
+
+print(report)
+`,
+  
+  literals: `
+--[[
+  Embedded data blob with config values
+]]
+local config = {
+  mask = 0xFF_FF,
+  flags = 0b1010_0110,
+  limit = 1_000_000,
+  epsilon = 1e-10,
+  scale = 2.5E3,
+  banner = [[
+Celestial "config" loader]],
+  pattern = [==[ [%w_]+ ]] ]==],
+  greeting = "caf\\u{E9} \\u{1F680} \\x41\\066\\z
+              C"
+}
+
+--[==[ block comment with ]] inside ]==]
+for key, value in pairs(config) do
+  print(key, value)
+end
+`,
+  
+  // Printed as byte values, so the output compares byte for byte
+  binaryStrings: `
+local blob = "\\xFF\\xFE\\200\\1\\0abc"
+local surrogate = "\\u{D800}"
+local text = "h\\u{E9}llo \\u{1F680}"
+print(#blob, blob:byte(1, -1))
+print(#surrogate, surrogate:byte(1, -1))
+print(#text, text:byte(1, -1))
+print(#[[\\xFF]], blob == "\\255\\254\\xC8\\x01\\x00abc")
+`,
+  
+  scoping: `
+local value = 10
+local print = print
+
+local function makeCounter(step)
+  local count = 0
+  return function()
+    count = count + step
+    return count
+  end
+end
+
+local counter = makeCounter(value)
+counter()
+
+do
+  local value = value * 2
+  print("inner", value)
+end
+
+for value = 1, 2 do
+  local value = value + 100
+  print("loop", value)
+end
+
+repeat
+  local finished = true
+until finished
+
+print("outer", value, counter())
+`,
+  
+  strings: `
+local latin = "héllo wörld ñ ß"
+local cjk = "漢字かなカナ한글"
+local emoji = "🚀✨ 👩‍💻"
+local escaped = "tab\\tquote\\"back\\\\slash\\65\\x42\\u{10FFFF}"
+local long = string.rep("abcdefghijklmnopqrstuvwxyz0123456789", 12)
+
+print(latin, #latin)
+print(cjk, #cjk)
+print(emoji, #emoji)
+print(escaped == "tab\\9quote\\34back\\92slashAB\\u{10FFFF}", #escaped)
+print(#long, long:sub(250, 262))
+print(("key"):upper(), ({ ["héllo"] = 1 })["héllo"], "" == "")
+`,
+  
+  numbers: `
+local values = { 0, 1, 7, 48, 49, 255, 65536, 2147483647, 2147483648, 4294967296,
+  9007199254740991, 1e300, 0.1, 0.5, 3.14159, 1e-7, 5e-324, 0x7FFFFFFF, 1e15 }
+
+for i = 1, #values do
+  print(i, string.format("%.17g", values[i]))
+end
+
+local grid = { { 1, 2 }, { 3, 4 } }
+local sum = 0
+for i = 1, 2 do
+  sum = sum + grid[i][1] * 10 + grid[i][2]
+end
+print(sum, 2 ^ 10, 7 // 2, 7 % 3, -0.25 * 4)
+`,
+  
+  virtualized: `
+local function counter()
+  local n = 0
+  return function(step) n = n + (step or 1) return n end, function() return n end
+end
+
+local function pack(...)
+  local t = { ..., "end" }
+  return select("#", ...), #t, ...
+end
+
+local function loops(limit)
+  local closures, out = {}, {}
+  for i = 1, limit do
+    closures[#closures + 1] = function() return i end
+  end
+  for _, f in ipairs(closures) do
+    out[#out + 1] = f()
+  end
+  local j = 0
+  repeat
+    local k = j
+    j = j + 2
+  until k >= 6
+  for word, position in string.gmatch("vm bytecode", "(%a+)()") do
+    out[#out + 1] = word .. position
+  end
+  return table.concat(out, ","), j
+end
+
+local account = { balance = 10 }
+function account:deposit(amount)
+  self.balance = self.balance + amount
+  return self
+end
+
+local function makeWallet(owner)
+  local wallet = { owner = owner, coins = 0 }
+  function wallet:add(n)
+    self.coins = self.coins + (n or 1)
+    return self
+  end
+  function wallet.describe(w) return w.owner .. ":" .. w.coins end
+  return wallet:add(2):add()
+end
+
+calls = 0
+local function fib(n)
+  calls = calls + 1
+  if n < 2 then return n end
+  return fib(n - 1) + fib(n - 2)
+end
+
+local inc, get = counter()
+inc() inc(4)
+print(get(), pack(1, nil, 3))
+print(loops(3))
+print(account:deposit(5):deposit(1).balance, fib(12), calls)
+print(makeWallet("ada").describe(makeWallet("bo")))
+print(pcall(function() error({ code = 7 }) end), (select(2, pcall(error, "x", 0))))
+`,
+  
+  // Target tables and keys are read before any target of the assignment is stored
+  multipleAssignment: `
+local function reassign()
+  local a = {} local i = 3
+  i, a[i] = i+1, 20
+  print(a[3], a[4], i)
+  
+  local t = { name = "old" }
+  local old = t
+  t, t.x = {}, 1
+  print(old.x, t.x, t == old)
+end
+
+reassign()
+`,
+  
+  annotated: `
+local spawned = 0
+
+--@celestial:virtualize
+local function spawn(count)
+  local handles = {}
+  for i = 1, count do
+    handles[i] = function() return i * 10 end
+  end
+  spawned = spawned + count
+  return handles
+end
+
+local Physics = {}
+function Physics.step(position, velocity, dt)
+  return position + velocity * dt
+end
+
+--@celestial:skip
+local render = function(frame)
+  return ("frame %d"):format(frame)
+end
+
+print(spawn(3)[2](), Physics.step(1, 2, 0.5), render(60), spawned)
 `
 };
 
@@ -368,6 +636,72 @@ export const testCases = [
     code: testVectors.obfuscationResistant,
     expectedSize: 1200,
     securityLevel: "Military"
+  },
+  {
+    name: "Prototype Names",
+    code: testVectors.prototypeNames,
+    expectedSize: 200,
+    securityLevel: "Basic"
+  },
+  {
+    name: "Type Annotations",
+    code: testVectors.typeAnnotations,
+    expectedSize: 900,
+    securityLevel: "Professional"
+  },
+  {
+    name: "Luau Syntax",
+    code: testVectors.luauSyntax,
+    expectedSize: 700,
+    securityLevel: "Basic"
+  },
+  {
+    name: "Literal Grammar",
+    code: testVectors.literals,
+    expectedSize: 600,
+    securityLevel: "Basic"
+  },
+  {
+    name: "Binary Strings",
+    code: testVectors.binaryStrings,
+    expectedSize: 300,
+    securityLevel: "Basic"
+  },
+  {
+    name: "Scoping",
+    code: testVectors.scoping,
+    expectedSize: 500,
+    securityLevel: "Basic"
+  },
+  {
+    name: "String Literals",
+    code: testVectors.strings,
+    expectedSize: 600,
+    securityLevel: "Basic"
+  },
+  {
+    name: "Numeric Literals",
+    code: testVectors.numbers,
+    expectedSize: 500,
+    securityLevel: "Basic"
+  },
+  {
+    name: "Virtualized Functions",
+    code: testVectors.virtualized,
+    expectedSize: 1000,
+    securityLevel: "Professional"
+  },
+  {
+    name: "Multiple Assignment",
+    code: testVectors.multipleAssignment,
+    expectedSize: 400,
+    securityLevel: "Professional"
+  },
+  {
+    name: "Selective Virtualization",
+    code: testVectors.annotated,
+    expectedSize: 500,
+    securityLevel: "Professional"
   }
 ];
 
@@ -483,4 +817,151 @@ function calculateStdDev(values) {
   const squareDiffs = values.map(value => Math.pow(value - avg, 2));
   const avgSquareDiff = squareDiffs.reduce((a, b) => a + b, 0) / squareDiffs.length;
   return Math.sqrt(avgSquareDiff);
+}
+
+// Strings covering every UTF-8 encoding length, for checking encryption round trips
+// Samples are byte strings, as the parser produces them: UTF-8 text is one char per byte
+function utf8(text) {
+  return String.fromCharCode(...new TextEncoder().encode(text));
+}
+
+function codePointRange(from, to, step = 1) {
+  let str = '';
+  for (let codePoint = from; codePoint <= to; codePoint += step) {
+    // Surrogates have no UTF-8 encoding of their own
+    if (codePoint < 0xD800 || codePoint > 0xDFFF) {
+      str += utf8(String.fromCodePoint(codePoint));
+    }
+  }
+  return str;
+}
+
+function byteRange(from, to) {
+  let str = '';
+  for (let byte = from; byte <= to; byte++) {
+    str += String.fromCharCode(byte);
+  }
+  return str;
+}
+
+export const stringSamples = {
+  empty: '',
+  nul: '\0',
+  ascii: codePointRange(0x00, 0x7F),
+  twoByte: codePointRange(0x80, 0x7FF),
+  threeByte: codePointRange(0x800, 0xFFFF, 7),
+  fourByte: codePointRange(0x10000, 0x10FFFF, 4099),
+  mixed: utf8('héllo 漢字 🚀 \t\n "quoted" \\'),
+  // Not valid UTF-8: stray bytes, an embedded NUL and an encoded surrogate
+  binary: '\xFF\xFE\xC8\x01\0abc\0',
+  surrogate: '\xED\xA0\x80',
+  allBytes: byteRange(0x00, 0xFF),
+  long: 'abcdefghijklmnopqrstuvwxyz'.repeat(400)
+};
+
+export function runStringRoundTrips(encryptor) {
+  const results = [];
+
+  for (const [name, sample] of Object.entries(stringSamples)) {
+    const encrypted = encryptor.encrypt(sample);
+    const decrypted = encryptor.decrypt(encrypted);
+    const success = decrypted === sample;
+    
+    results.push({ name, success, bytes: encrypted.bytes.length });
+    console.log(`${success ? '✓' : '✗'} ${name}: ${encrypted.bytes.length} bytes`);
+  }
+  
+  return results;
+}
+
+// Runs the emitted accessor through `runLua(source)`, which resolves to what the chunk printed,
+// and compares every sample it decrypts byte for byte with the JS reference
+export async function runStringDecryptorChecks(encryptor, runLua) {
+  const samples = Object.entries(stringSamples);
+  const encrypted = samples.map(([, sample]) => encryptor.encrypt(sample));
+  const hex = str => Array.from(str, char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+  
+  const source = [
+    `local decrypt = ${encryptor.generateAccessor(encrypted)}`,
+    'local function hex(s) return (s:gsub(".", function(c) return string.format("%02x", c:byte()) end)) end',
+    ...samples.map((_, i) => `print(hex(decrypt(${i + 1})))`)
+  ].join('\n');
+  const printed = (await runLua(source)).trimEnd().split('\n');
+  
+  return samples.map(([name], i) => {
+    const success = printed[i] === hex(encryptor.decrypt(encrypted[i])) && printed[i] === hex(samples[i][1]);
+    console.log(`${success ? '✓' : '✗'} ${name}: emitted decryptor`);
+    return { name, success };
+  });
+}
+
+export const mbaSamples = [
+  'a + b',
+  'a - b',
+  'x ~= 3',
+  'x == y',
+  '(a ^ b) & 0xFF00',
+  '~a | b',
+  '-a + 7',
+  'a & b | c'
+];
+
+export function runMbaChecks(transforms, depth = 2) {
+  const results = [];
+
+  for (const source of mbaSamples) {
+    const { tree, code } = transforms.generateMba(source, { depth });
+    const success = transforms.verifyMba(transforms.parseMba(source), tree, 1024);
+    
+    results.push({ source, success, length: code.length });
+    console.log(`${success ? '✓' : '✗'} ${source}: ${code.length} chars`);
+  }
+  
+  return results;
+}
+
+export function runTransformChainChecks(transforms, lengths = [1, 4, 8]) {
+  const results = [];
+
+  for (const width of [8, 16, 32]) {
+    for (const length of lengths) {
+      const chain = transforms.generateTransformChain(length, width);
+      const success = transforms.verifyTransformChain(chain, 65536);
+      const steps = chain.steps.map(step => step.type).join(' > ');
+      
+      results.push({ width, length, success, steps });
+      console.log(`${success ? '✓' : '✗'} ${width}-bit: ${steps}`);
+    }
+  }
+  
+  return results;
+}
+
+// Encrypts every prototype of a compiled vector with the VM's build ISA and decrypts it back,
+// checking that each jump's fixup leads to the key its target was encrypted with
+export function runInstructionSetChecks(vm, code = testVectors.virtualized) {
+  const body = vm.parser.parse(code);
+  const { proto } = vm.compiler.compile({ type: 'FunctionExpression', generics: [], params: ['...'], paramTypes: [null], returnType: null, body });
+  vm.prepare([proto]);
+  
+  const results = [];
+  const check = encrypted => {
+    const { instructions, constants, keys } = vm.decryptProto(encrypted);
+    const decoded = JSON.stringify(instructions) === JSON.stringify(vm.lowerProto(encrypted.proto));
+    const constantsMatch = constants.every((value, i) => Object.is(value, encrypted.proto.constants[i]));
+    const jumps = encrypted.proto.code.every((instruction, i) => {
+      const target = vm.jumpTarget(instruction);
+      return target === null || keys[target] === (keys[i + 1] + encrypted.fixups[i]) % 2 ** 32;
+    });
+    
+    results.push({ instructions: instructions.length, success: decoded && constantsMatch && jumps });
+    encrypted.protos.forEach(check);
+  };
+  check(vm.encryptProto(proto));
+  
+  const success = results.every(result => result.success);
+  const layout = vm.isa.width ? `packed ${vm.isa.width}-bit` : 'wide';
+  console.log(`${success ? '✓' : '✗'} ${results.length} prototypes, ${layout} layout, ${vm.isa.fused.size} super-operators`);
+  
+  return results;
 }
\ No newline at end of file